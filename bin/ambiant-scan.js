@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * AMBIANT SCAN — command line
+ * ============================================================================
+ *
+ * Usage:
+ *   ambiant-scan scan --city Montreal --format table
+ *   ambiant-scan scan --lat 45.5 --lon -73.6 --units imperial --lang fr
+ *   ambiant-scan scan --city Paris --country FR --format csv
+ *   ambiant-scan geoip 8.8.8.8
+ *   ambiant-scan serve --port 8080
+ *
+ * Configuration comes from the same environment variables as the server
+ * (see server.js). Exit codes: 0 success, 1 scan or lookup failure, 2 usage.
+ * ============================================================================
+ */
+
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: ambiant-scan <command> [options]
+
+Commands:
+  scan     Environmental scan for one location
+             --lat <deg> --lon <deg> | --city <name> [--country <CC>] | --place <id>
+             --units metric|imperial|si   --lang en|fr|es|de
+             --format json|table|csv|geojson|ndjson (default: json)
+  geoip    Geolocate a public IP address: geoip <ip> [--format json|table]
+  serve    Run the HTTP server: serve [--port <port>]
+  help     Show this message
+
+Configuration is read from the server's environment variables (PORT, CACHE_TTL_SECONDS, …).`;
+
+const COMMANDS = {
+  scan: {
+    options: {
+      lat: { type: 'string' },
+      lon: { type: 'string' },
+      city: { type: 'string' },
+      country: { type: 'string' },
+      place: { type: 'string' },
+      units: { type: 'string' },
+      lang: { type: 'string' },
+      format: { type: 'string', default: 'json' }
+    },
+    async run({ values }, lib) {
+      const { format, units, lang, ...target } = values;
+      checkFormat(format, ['json', 'table', 'csv', 'geojson', 'ndjson']);
+      if (!(target.city || target.place || (target.lat != null && target.lon != null))) {
+        throw new UsageError('scan needs --lat and --lon, --city or --place');
+      }
+      print(await lib.scan(target, { units, lang }), format, lib);
+    }
+  },
+  geoip: {
+    options: {
+      format: { type: 'string', default: 'json' }
+    },
+    async run({ values, positionals }, lib) {
+      checkFormat(values.format, ['json', 'table']);
+      if (positionals.length !== 1) throw new UsageError('geoip needs exactly one IP address');
+      print(await lib.geoip(positionals[0]), values.format, lib);
+    }
+  },
+  serve: {
+    options: {
+      port: { type: 'string' }
+    },
+    async run({ values }, lib) {
+      if (values.port != null && !/^\d+$/.test(values.port)) throw new UsageError(`Invalid port "${values.port}"`);
+      lib.start(values.port != null ? { config: { PORT: values.port } } : {});
+    }
+  }
+};
+
+class UsageError extends Error {}
+
+// parseArgs reads `--lon -73.6` as two options; pass negative numbers inline
+function joinNegativeValues(args) {
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    if (/^--\w+$/.test(args[i]) && /^-\d/.test(args[i + 1] || '')) {
+      out.push(`${args[i]}=${args[i + 1]}`);
+      i++;
+    } else {
+      out.push(args[i]);
+    }
+  }
+  return out;
+}
+
+function checkFormat(format, allowed) {
+  if (!allowed.includes(format)) {
+    throw new UsageError(`Invalid format "${format}". Must be one of: ${allowed.join(', ')}`);
+  }
+}
+
+// Flattened `key  value` rows, keys padded to the longest one
+function toTable(record, lib) {
+  const rows = Object.entries(lib.flattenObject(record));
+  const width = Math.max(...rows.map(([key]) => key.length));
+  return rows.map(([key, value]) => `${key.padEnd(width)}  ${value == null ? '-' : value}`).join('\n') + '\n';
+}
+
+function print(record, format, lib) {
+  switch (format) {
+    case 'table':
+      return process.stdout.write(toTable(record, lib));
+    case 'csv':
+      return process.stdout.write(lib.toCSV([lib.flattenObject(record)]));
+    case 'geojson':
+      return process.stdout.write(JSON.stringify(lib.toFeature(record), null, 2) + '\n');
+    case 'ndjson':
+      return process.stdout.write(JSON.stringify(record) + '\n');
+    default:
+      return process.stdout.write(JSON.stringify(record, null, 2) + '\n');
+  }
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command "${name}"`);
+
+  let args;
+  try {
+    args = parseArgs({ args: joinNegativeValues(rest), options: command.options, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  // Loaded only now so `help` and usage errors don't need a valid configuration
+  const lib = require('../server.js');
+  await command.run(args, lib);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    if (err instanceof UsageError) {
+      console.error(`ambiant-scan: ${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error(`ambiant-scan: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
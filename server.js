@@ -11,77 +11,358 @@
  *   - BigDataCloud (reverse geocoding) — no key required
  * 
  * Usage:
- *   node server.js
+ *   node server.js                         → start the HTTP server
+ *   ambiant-scan scan --city Montreal      → one-off scan (bin/ambiant-scan.js)
+ *   require('./server.js')                 → library: createServer(), scan(), geoip(), …
  * 
  * Endpoints:
  *   GET /scan?lat=45.5&lon=-73.6          → full environmental scan
  *   GET /scan?city=Montreal                → scan by city name
+ *   GET /scan?city=Paris&country=FR        → …pinned to a country
+ *   GET /scan?place=geonames:6077243       → …or to a /geocode candidate
+ *   GET /scan?ip=auto                      → scan the caller's location via GeoIP
+ *   GET /compare?cities=Montreal,Toronto   → side-by-side metrics, ranked
+ *   GET /forecast?city=Montreal&days=7     → daily (+ hourly) forecast series
+ *   GET /history?city=Montreal&start=…&end=… → archived daily (+ hourly) records
+ *   POST /scan/batch  [{lat,lon}|{city}, …] → scan many locations at once
+ *   POST /scan/route  LineString|{polyline} → conditions along a route
+ *   GET /scan/area?bbox=…&step=…&fields=…  → value grids for heatmaps
+ *   GET /scan/stream?lat=…&lon=…           → live scan updates (Server-Sent Events)
  *   GET /health                            → health check
+ *   GET /metrics                           → Prometheus metrics
+ *   GET /openapi.json                      → OpenAPI 3.1 spec of every endpoint
+ *   GET /geocode?q=Springfield&limit=10    → ranked place candidates
+ *   GET /geocode/reverse?lat=…&lon=…       → coordinates → place
  *   GET /geoip                             → caller geolocation via IP
- *   GET /cache/stats                       → cache statistics
- *   DELETE /cache                          → flush all caches
+ *   GET /cache/stats                       → cache statistics (admin)
+ *   DELETE /cache                          → flush all caches (admin)
+ *   POST /alerts, GET /alerts[/id], DELETE /alerts/id → threshold webhooks
  * 
  * Environment variables (optional):
  *   PORT                  — server port (default: 3400)
  *   CACHE_TTL_SECONDS     — data cache TTL (default: 600 = 10min)
  *   GEO_CACHE_TTL_SECONDS — geocoding cache TTL (default: 86400 = 24h)
+ *   FORECAST_CACHE_TTL_SECONDS — forecast cache TTL (default: 1800 = 30min)
+ *   HISTORY_CACHE_TTL_SECONDS  — history cache TTL (default: 604800 = 7d)
  *   MAX_CACHE_ENTRIES     — max entries per cache (default: 5000)
+ *   MAX_BODY_BYTES        — max JSON request body size (default: 65536)
+ *   MAX_BATCH_ITEMS       — max items per /scan/batch request (default: 200)
+ *   BATCH_CONCURRENCY     — parallel upstream scans per batch (default: 8)
+ *   ROUTE_SPACING_KM      — default sample spacing along /scan/route (default: 5)
+ *   MAX_ROUTE_SAMPLES     — max grid cells sampled per route (default: 200)
+ *   MAX_AREA_CELLS        — max grid cells per /scan/area request (default: 400)
+ *   AREA_CHUNK_SIZE       — cells per multi-coordinate upstream call (default: 100)
+ *   MAX_AREA_CACHE_ENTRIES — max finished grids kept by the area cache (default: 100)
+ *   STALE_GRACE_SECONDS   — serve expired data while refreshing (default: 3600)
+ *   UPSTREAM_RETRIES      — retries per upstream call (default: 2)
+ *   UPSTREAM_RETRY_BASE_MS — base for jittered exponential backoff (default: 200)
+ *   BREAKER_FAILURE_THRESHOLD — consecutive failures that open a breaker (default: 5)
+ *   BREAKER_COOLDOWN_SECONDS  — how long a breaker stays open (default: 30)
+ *   CACHE_SNAPSHOT_DIR    — persist caches to this directory (default: off)
+ *   CACHE_SNAPSHOT_CACHES — which caches to persist (default: all)
+ *   CACHE_SNAPSHOT_INTERVAL_SECONDS — periodic snapshot interval (default: 300)
+ *   API_KEYS              — comma-separated `key` or `key:admin` entries (default: auth off)
+ *   API_KEYS_FILE         — file with one `key[:scope]` entry per line
+ *   REQUIRE_API_KEY       — reject requests without a key (default: false)
+ *   RATE_LIMIT_PER_KEY    — requests per window for each API key (default: 600, 0 = off)
+ *   RATE_LIMIT_PER_IP     — requests per window for keyless clients (default: 120, 0 = off)
+ *   RATE_LIMIT_WINDOW_SECONDS — rate limit window (default: 60)
+ *   STREAM_REFRESH_SECONDS — how often a streamed cell re-checks its data (default: 60)
+ *   STREAM_HEARTBEAT_SECONDS — SSE heartbeat interval (default: 15)
+ *   MAX_STREAM_CLIENTS    — max concurrent /scan/stream connections (default: 2000)
+ *   ALERTS_FILE           — persist alert subscriptions to this file (default: memory only)
+ *   ALERT_CHECK_INTERVAL_SECONDS — how often alerts are re-evaluated (default: 300)
+ *   ALERT_DEBOUNCE_CHECKS — checks that must agree before an alert flips (default: 2)
+ *   MAX_ALERTS            — max alert subscriptions (default: 1000)
+ *   LOG_LEVEL             — debug, info, warn, error or silent (default: info)
+ *   RECORD_DIR            — save upstream responses as fixtures here (default: off)
+ *   REPLAY_DIR            — answer upstream calls only from fixtures here (default: off)
+ *   UPSTREAM_LATENCY_MS   — injected delay per upstream call, `250` or `100-400` (default: none)
+ *   UPSTREAM_FAULTS       — `host[:rate]` entries that fail with a simulated 503 (default: none)
+ *   TRUSTED_PROXIES       — CIDRs/presets whose proxy headers are honoured (default: loopback,private)
+ *   GEOIP_FALLBACK_LOCATION — `lat,lon`, place id or city for ?ip= on private IPs (default: none)
+ *
+ * Upstream providers (optional, comma-separated, tried in order):
+ *   WEATHER_PROVIDERS           — default: open-meteo=https://api.open-meteo.com
+ *   WEATHER_ARCHIVE_PROVIDERS   — default: open-meteo=https://archive-api.open-meteo.com
+ *   AIR_QUALITY_PROVIDERS       — default: open-meteo=https://air-quality-api.open-meteo.com
+ *   GEOCODING_PROVIDERS         — default: open-meteo=https://geocoding-api.open-meteo.com
+ *   REVERSE_GEOCODING_PROVIDERS — default: bigdatacloud=https://api.bigdatacloud.net
+ *   GEOIP_PROVIDERS             — default: ip-api=http://ip-api.com (also: ipwhois)
+ *   Entries are `adapter=baseUrl`, or a bare base URL for the default adapter.
  * ============================================================================
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const path = require('path');
 const url = require('url');
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 
-const PORT = parseInt(process.env.PORT || '3400', 10);
-const CACHE_TTL = parseInt(process.env.CACHE_TTL_SECONDS || '600', 10) * 1000;
-const GEO_CACHE_TTL = parseInt(process.env.GEO_CACHE_TTL_SECONDS || '86400', 10) * 1000;
-const MAX_CACHE_ENTRIES = parseInt(process.env.MAX_CACHE_ENTRIES || '5000', 10);
+const STREAM_RETRY_MS = 5000;
+const ALERT_WEBHOOK_TIMEOUT = 5000;
+const ALERT_WEBHOOK_RETRIES = 3;
+const ALERT_WEBHOOK_RETRY_BASE_MS = 1000;
+
+let PORT, CACHE_TTL, GEO_CACHE_TTL, FORECAST_CACHE_TTL, HISTORY_CACHE_TTL, MAX_CACHE_ENTRIES,
+  MAX_BODY_BYTES, MAX_BATCH_ITEMS, BATCH_CONCURRENCY, ROUTE_SPACING_KM, MAX_ROUTE_SAMPLES,
+  MAX_AREA_CELLS, AREA_CHUNK_SIZE, MAX_AREA_CACHE_ENTRIES, STALE_GRACE, UPSTREAM_RETRIES, UPSTREAM_RETRY_BASE_MS,
+  BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN, CACHE_SNAPSHOT_DIR, CACHE_SNAPSHOT_CACHES,
+  CACHE_SNAPSHOT_INTERVAL, API_KEYS_FILE, REQUIRE_API_KEY, RATE_LIMIT_PER_KEY, RATE_LIMIT_PER_IP,
+  RATE_LIMIT_WINDOW, STREAM_REFRESH_INTERVAL, STREAM_HEARTBEAT_INTERVAL, MAX_STREAM_CLIENTS,
+  ALERTS_FILE, ALERT_CHECK_INTERVAL, ALERT_DEBOUNCE_CHECKS, MAX_ALERTS, LOG_LEVEL, RECORD_DIR,
+  REPLAY_DIR, UPSTREAM_LATENCY_MS, UPSTREAM_FAULTS, GEOIP_FALLBACK_LOCATION;
+
+/**
+ * Read the settings above from `env` (process.env, or the variables passed to
+ * createServer({ config })). Called by configure(), which also rebuilds the
+ * state derived from them.
+ */
+function loadSettings(env) {
+  PORT = parseInt(env.PORT || '3400', 10);
+  CACHE_TTL = parseInt(env.CACHE_TTL_SECONDS || '600', 10) * 1000;
+  GEO_CACHE_TTL = parseInt(env.GEO_CACHE_TTL_SECONDS || '86400', 10) * 1000;
+  FORECAST_CACHE_TTL = parseInt(env.FORECAST_CACHE_TTL_SECONDS || '1800', 10) * 1000;
+  HISTORY_CACHE_TTL = parseInt(env.HISTORY_CACHE_TTL_SECONDS || '604800', 10) * 1000;
+  MAX_CACHE_ENTRIES = parseInt(env.MAX_CACHE_ENTRIES || '5000', 10);
+  MAX_BODY_BYTES = parseInt(env.MAX_BODY_BYTES || '65536', 10);
+  MAX_BATCH_ITEMS = parseInt(env.MAX_BATCH_ITEMS || '200', 10);
+  BATCH_CONCURRENCY = parseInt(env.BATCH_CONCURRENCY || '8', 10);
+  ROUTE_SPACING_KM = parseFloat(env.ROUTE_SPACING_KM || '5');
+  MAX_ROUTE_SAMPLES = parseInt(env.MAX_ROUTE_SAMPLES || '200', 10);
+  MAX_AREA_CELLS = parseInt(env.MAX_AREA_CELLS || '400', 10);
+  AREA_CHUNK_SIZE = parseInt(env.AREA_CHUNK_SIZE || '100', 10);
+  MAX_AREA_CACHE_ENTRIES = parseInt(env.MAX_AREA_CACHE_ENTRIES || '100', 10);
+  STALE_GRACE = parseInt(env.STALE_GRACE_SECONDS || '3600', 10) * 1000;
+  UPSTREAM_RETRIES = parseInt(env.UPSTREAM_RETRIES || '2', 10);
+  UPSTREAM_RETRY_BASE_MS = parseInt(env.UPSTREAM_RETRY_BASE_MS || '200', 10);
+  BREAKER_FAILURE_THRESHOLD = parseInt(env.BREAKER_FAILURE_THRESHOLD || '5', 10);
+  BREAKER_COOLDOWN = parseInt(env.BREAKER_COOLDOWN_SECONDS || '30', 10) * 1000;
+  CACHE_SNAPSHOT_DIR = env.CACHE_SNAPSHOT_DIR || '';
+  CACHE_SNAPSHOT_CACHES = env.CACHE_SNAPSHOT_CACHES || '';
+  CACHE_SNAPSHOT_INTERVAL = parseInt(env.CACHE_SNAPSHOT_INTERVAL_SECONDS || '300', 10) * 1000;
+  API_KEYS_FILE = env.API_KEYS_FILE || '';
+  REQUIRE_API_KEY = env.REQUIRE_API_KEY === 'true';
+  RATE_LIMIT_PER_KEY = parseInt(env.RATE_LIMIT_PER_KEY || '600', 10);
+  RATE_LIMIT_PER_IP = parseInt(env.RATE_LIMIT_PER_IP || '120', 10);
+  RATE_LIMIT_WINDOW = parseInt(env.RATE_LIMIT_WINDOW_SECONDS || '60', 10) * 1000;
+  STREAM_REFRESH_INTERVAL = parseInt(env.STREAM_REFRESH_SECONDS || '60', 10) * 1000;
+  STREAM_HEARTBEAT_INTERVAL = parseInt(env.STREAM_HEARTBEAT_SECONDS || '15', 10) * 1000;
+  MAX_STREAM_CLIENTS = parseInt(env.MAX_STREAM_CLIENTS || '2000', 10);
+  ALERTS_FILE = env.ALERTS_FILE || '';
+  ALERT_CHECK_INTERVAL = parseInt(env.ALERT_CHECK_INTERVAL_SECONDS || '300', 10) * 1000;
+  ALERT_DEBOUNCE_CHECKS = parseInt(env.ALERT_DEBOUNCE_CHECKS || '2', 10);
+  MAX_ALERTS = parseInt(env.MAX_ALERTS || '1000', 10);
+  LOG_LEVEL = (env.LOG_LEVEL || 'info').toLowerCase();
+  RECORD_DIR = env.RECORD_DIR || '';
+  REPLAY_DIR = env.REPLAY_DIR || '';
+  UPSTREAM_LATENCY_MS = env.UPSTREAM_LATENCY_MS || '';
+  UPSTREAM_FAULTS = env.UPSTREAM_FAULTS || '';
+  GEOIP_FALLBACK_LOCATION = env.GEOIP_FALLBACK_LOCATION || '';
+}
+
+// ─── Logging ────────────────────────────────────────────────────────────────
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+/**
+ * Per-request state, reachable from anywhere down the call chain without
+ * threading it through every function: the request id, cache outcomes per
+ * tier and every upstream attempt made by `fetch`.
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Write one JSON log line (warn and error to stderr, the rest to stdout).
+ * Lines written while serving a request carry its `request_id`.
+ */
+function log(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[LOG_LEVEL] ?? LOG_LEVELS.info)) return;
+  const context = requestContext.getStore();
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context ? { request_id: context.id } : {}),
+    ...fields
+  });
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const logger = {
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields)
+};
+
+function countCacheOutcome(cacheName, outcome) {
+  const context = requestContext.getStore();
+  if (!context) return;
+  const counts = context.cache[cacheName] || (context.cache[cacheName] = { hit: 0, miss: 0, stale: 0, coalesced: 0 });
+  counts[outcome]++;
+}
+
+function recordUpstreamCall(call) {
+  requestContext.getStore()?.upstream.push(call);
+}
+
+/**
+ * Cache outcomes and upstream calls of the current request so far: the
+ * access log fields, and `meta._timing` with `?timing=true`.
+ */
+function timingBreakdown() {
+  const context = requestContext.getStore();
+  if (!context) return null;
+  return {
+    upstream_ms: Math.round(context.upstream.reduce((sum, call) => sum + call.ms, 0)),
+    upstream: context.upstream,
+    cache: context.cache
+  };
+}
 
 // ─── In-Memory Cache with TTL & LRU eviction ───────────────────────────────
 
-class TTLCache {
-  constructor(name, ttl, maxEntries) {
+/**
+ * Emits `set` (key, data) whenever an entry is stored, so live streams can
+ * push refreshed data without polling the cache.
+ */
+class TTLCache extends EventEmitter {
+  constructor(name, ttl, maxEntries, staleGrace = 0) {
+    super();
     this.name = name;
     this.ttl = ttl;
     this.maxEntries = maxEntries;
+    this.staleGrace = staleGrace; // how long past expiry an entry may still be served stale
     this.store = new Map();       // key → { data, expiresAt }
     this.hits = 0;
     this.misses = 0;
+    this.staleHits = 0;
     this.evictions = 0;
+    this.inFlight = new Map();    // key → pending load promise
+    this.coalesced = 0;
   }
 
   get(key) {
     const entry = this.store.get(key);
     if (!entry) {
       this.misses++;
+      countCacheOutcome(this.name, 'miss');
       return null;
     }
     if (Date.now() > entry.expiresAt) {
-      this.store.delete(key);
+      // Keep it around for getStale() until the grace window runs out too
+      if (Date.now() > entry.expiresAt + this.staleGrace) this.store.delete(key);
       this.misses++;
+      countCacheOutcome(this.name, 'miss');
       return null;
     }
     // Move to end for LRU behavior (Map preserves insertion order)
     this.store.delete(key);
     this.store.set(key, entry);
     this.hits++;
+    countCacheOutcome(this.name, 'hit');
+    return entry.data;
+  }
+
+  /**
+   * Stale-while-revalidate lookup: returns an entry that has expired but is
+   * still inside the grace window, or null. Call it after a `get` miss.
+   */
+  getStale(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    const now = Date.now();
+    if (now <= entry.expiresAt || now > entry.expiresAt + this.staleGrace) return null;
+    this.staleHits++;
+    countCacheOutcome(this.name, 'stale');
     return entry.data;
   }
 
-  set(key, data) {
-    // Evict oldest if at capacity
-    if (this.store.size >= this.maxEntries) {
+  set(key, data, ttl = this.ttl) {
+    if (this.write(key, data, Date.now() + ttl)) this.evictions++;
+    this.emit('set', key, data);
+  }
+
+  // Store an entry without counting or emitting anything. Returns whether
+  // the oldest entry was evicted to make room.
+  write(key, data, expiresAt) {
+    let evicted = false;
+    // Replacing an entry must not evict another one
+    if (this.store.has(key)) {
+      this.store.delete(key);
+    } else if (this.store.size >= this.maxEntries) {
+      // Evict oldest if at capacity
       const oldestKey = this.store.keys().next().value;
       this.store.delete(oldestKey);
-      this.evictions++;
+      evicted = true;
     }
-    this.store.set(key, {
-      data,
-      expiresAt: Date.now() + this.ttl
-    });
+    this.store.set(key, { data, expiresAt });
+    return evicted;
+  }
+
+  /**
+   * Single-flight: run `fn` for `key` unless a call for the same key is
+   * already pending, in which case share its promise. Used around cache-miss
+   * loaders so a burst of misses triggers one upstream fetch.
+   */
+  coalesce(key, fn) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.coalesced++;
+      countCacheOutcome(this.name, 'coalesced');
+      return pending;
+    }
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Serialize live entries (oldest first, so LRU order survives a restore)
+   * as NDJSON lines of `[key, expiresAt, data]`.
+   */
+  snapshotLines() {
+    const cutoff = Date.now() - this.staleGrace;
+    const lines = [];
+    for (const [key, entry] of this.store) {
+      if (entry.expiresAt > cutoff) lines.push(JSON.stringify([key, entry.expiresAt, entry.data]));
+    }
+    return lines;
+  }
+
+  /**
+   * Load NDJSON lines produced by snapshotLines(), keeping each entry's
+   * original expiry. Malformed lines and entries past their stale grace are
+   * skipped. Restored entries are not `set` events and don't count as
+   * evictions. Returns the number of entries restored.
+   */
+  restoreLines(lines) {
+    const cutoff = Date.now() - this.staleGrace;
+    let restored = 0;
+    for (const line of lines) {
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      if (!Array.isArray(parsed) || parsed.length !== 3) continue;
+      const [key, expiresAt, data] = parsed;
+      if (typeof key !== 'string' || typeof expiresAt !== 'number' || expiresAt <= cutoff) continue;
+      this.write(key, data, expiresAt);
+      restored++;
+    }
+    return restored;
   }
 
   flush() {
@@ -94,32 +375,337 @@ class TTLCache {
     // Purge expired entries for accurate count
     const now = Date.now();
     for (const [key, entry] of this.store) {
-      if (now > entry.expiresAt) this.store.delete(key);
+      if (now > entry.expiresAt + this.staleGrace) this.store.delete(key);
     }
     return {
       name: this.name,
       entries: this.store.size,
       hits: this.hits,
       misses: this.misses,
+      staleHits: this.staleHits,
       evictions: this.evictions,
+      coalesced: this.coalesced,
+      inFlight: this.inFlight.size,
       hitRate: (this.hits + this.misses) > 0
         ? ((this.hits / (this.hits + this.misses)) * 100).toFixed(1) + '%'
         : 'N/A',
       ttlSeconds: this.ttl / 1000,
+      staleGraceSeconds: this.staleGrace / 1000,
       maxEntries: this.maxEntries
     };
   }
 }
 
-// Initialize caches
-const geoCache = new TTLCache('geo-reverse', GEO_CACHE_TTL, MAX_CACHE_ENTRIES);
-const cityResolveCache = new TTLCache('city-forward', GEO_CACHE_TTL, MAX_CACHE_ENTRIES);
-const dataCache = new TTLCache('environmental-data', CACHE_TTL, MAX_CACHE_ENTRIES);
-const geoipCache = new TTLCache('geoip', GEO_CACHE_TTL, MAX_CACHE_ENTRIES);
+const CACHE_NAMES = ['geo-reverse', 'city-forward', 'environmental-data', 'area', 'forecast', 'history', 'geoip'];
+
+let geoCache, cityResolveCache, dataCache, areaCache, forecastCache, historyCache, geoipCache;
+let allCaches = [];
+
+/**
+ * (Re)create the caches from the current settings. `injected` maps names
+ * from CACHE_NAMES to caches to use instead: a TTLCache, or any object with
+ * the same methods (and `on('set')` for the environmental-data cache, which
+ * feeds live streams).
+ */
+function initCaches(injected = {}) {
+  const cache = (name, ttl, staleGrace, maxEntries = MAX_CACHE_ENTRIES) =>
+    injected[name] || new TTLCache(name, ttl, maxEntries, staleGrace);
+
+  geoCache = cache('geo-reverse', GEO_CACHE_TTL);
+  cityResolveCache = cache('city-forward', GEO_CACHE_TTL);
+  dataCache = cache('environmental-data', CACHE_TTL, STALE_GRACE);
+  // Whole grids are large: kept apart so they can't crowd single scans out
+  areaCache = cache('area', CACHE_TTL, STALE_GRACE, MAX_AREA_CACHE_ENTRIES);
+  forecastCache = cache('forecast', FORECAST_CACHE_TTL, STALE_GRACE);
+  historyCache = cache('history', HISTORY_CACHE_TTL);
+  geoipCache = cache('geoip', GEO_CACHE_TTL);
+  allCaches = [geoCache, cityResolveCache, dataCache, areaCache, forecastCache, historyCache, geoipCache];
+}
+
+// ─── Cache Snapshots (optional disk persistence) ───────────────────────────
+
+/**
+ * Snapshot files are NDJSON: a header line, then one `[key, expiresAt, data]`
+ * line per entry. They are written to a temp file and renamed into place, and
+ * a truncated or corrupt file only loses the lines that fail to parse.
+ */
+const SNAPSHOT_FORMAT = 'ambiant-scan-cache/1';
+
+let persistedCaches = [];
+
+function selectPersistedCaches() {
+  persistedCaches = !CACHE_SNAPSHOT_DIR ? [] : allCaches.filter(cache =>
+    !CACHE_SNAPSHOT_CACHES
+      || CACHE_SNAPSHOT_CACHES.split(',').map(name => name.trim()).includes(cache.name)
+  );
+}
+
+function snapshotPath(cache) {
+  return path.join(CACHE_SNAPSHOT_DIR, `${cache.name}.ndjson`);
+}
+
+function snapshotContents(cache) {
+  const header = JSON.stringify({ format: SNAPSHOT_FORMAT, cache: cache.name, savedAt: new Date().toISOString() });
+  return [header, ...cache.snapshotLines()].join('\n') + '\n';
+}
+
+async function saveSnapshots() {
+  for (const cache of persistedCaches) {
+    const file = snapshotPath(cache);
+    try {
+      await fs.promises.mkdir(CACHE_SNAPSHOT_DIR, { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, snapshotContents(cache));
+      await fs.promises.rename(`${file}.tmp`, file);
+    } catch (err) {
+      logger.error('Cache snapshot save failed', { cache: cache.name, error: err.message });
+    }
+  }
+}
+
+// Signal handlers can't wait on promises, so shutdown snapshots are synchronous
+function saveSnapshotsSync() {
+  for (const cache of persistedCaches) {
+    const file = snapshotPath(cache);
+    try {
+      fs.mkdirSync(CACHE_SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, snapshotContents(cache));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      logger.error('Cache snapshot save failed', { cache: cache.name, error: err.message });
+    }
+  }
+}
+
+function restoreSnapshots() {
+  for (const cache of persistedCaches) {
+    const file = snapshotPath(cache);
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error('Cache snapshot restore failed', { cache: cache.name, error: err.message });
+      continue;
+    }
+
+    let header = null;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch (e) { /* handled below */ }
+    if (!header || header.format !== SNAPSHOT_FORMAT || header.cache !== cache.name) {
+      logger.warn('Unrecognized cache snapshot file, ignoring', { cache: cache.name, file });
+      continue;
+    }
+
+    const restored = cache.restoreLines(lines.slice(1));
+    logger.info('Cache snapshot restored', { cache: cache.name, restored, entries: lines.length - 1, saved_at: header.savedAt });
+  }
+}
+
+// ─── Metrics (Prometheus text exposition) ──────────────────────────────────
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Labelled counter or gauge. Series are keyed by their formatted label set,
+ * so the same labels always land on the same line.
+ */
+class Metric {
+  constructor(name, type, help) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.series = new Map();      // formatted labels → value
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.series.set(key, (this.series.get(key) || 0) + amount);
+  }
+
+  set(labels, value) {
+    this.series.set(formatLabels(labels), value);
+  }
+
+  lines() {
+    const out = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [labels, value] of this.series) out.push(`${this.name}${labels} ${value}`);
+    return out;
+  }
+}
+
+/**
+ * Labelled histogram with cumulative `le` buckets, `_sum` and `_count`.
+ */
+class Histogram {
+  constructor(name, help, buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();      // formatted labels → { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const out = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, { labels, counts, sum, count }] of this.series) {
+      this.buckets.forEach((bound, i) => {
+        out.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      out.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      out.push(`${this.name}_sum${key} ${sum}`);
+      out.push(`${this.name}_count${key} ${count}`);
+    }
+    return out;
+  }
+}
+
+const metrics = {
+  httpRequests: new Metric('ambiant_http_requests_total', 'counter', 'HTTP requests served, by method, route and status'),
+  httpDuration: new Histogram('ambiant_http_request_duration_seconds', 'HTTP request latency, by method, route and status'),
+  upstreamDuration: new Histogram('ambiant_upstream_request_duration_seconds', 'Upstream request latency per attempt, by host and outcome'),
+  upstreamErrors: new Metric('ambiant_upstream_errors_total', 'counter', 'Failed upstream attempts, by host and reason')
+};
+
+const secondsSince = (startedAt) => Number(process.hrtime.bigint() - startedAt) / 1e9;
+const msSince = (startedAt) => Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+
+// The route table's path template (e.g. /alerts/:id); unknown paths share
+// one label so scanners can't blow up series cardinality
+function routeLabel(pathname) {
+  try {
+    return routesForPath(pathname)[0]?.route.path || 'unmatched';
+  } catch (e) {
+    return 'unmatched';
+  }
+}
+
+/**
+ * Count and time a request once its response has been sent.
+ */
+function trackRequest(req, res, pathname) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(pathname),
+      status: res.statusCode
+    };
+    metrics.httpRequests.inc(labels);
+    metrics.httpDuration.observe(labels, secondsSince(startedAt));
+  });
+}
+
+/**
+ * Accept a caller's `X-Request-Id` when it is a sane token, otherwise mint
+ * one; either way it is echoed back so both sides can correlate logs.
+ */
+function requestIdFor(req) {
+  const supplied = req.headers['x-request-id'];
+  return typeof supplied === 'string' && /^[\w.:-]{1,128}$/.test(supplied) ? supplied : crypto.randomUUID();
+}
+
+/**
+ * One access-log line per request once the response is flushed. Health and
+ * metrics probes log at debug so they don't drown out real traffic.
+ */
+function logRequest(req, res, pathname) {
+  const startedAt = process.hrtime.bigint();
+  const context = requestContext.getStore();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : req.route?.unmetered ? 'debug' : 'info';
+    requestContext.run(context, () => log(level, 'request', {
+      method: req.method,
+      route: routeLabel(pathname),
+      path: pathname,
+      status: res.statusCode,
+      duration_ms: msSince(startedAt),
+      ip: getClientIP(req),
+      ...timingBreakdown()
+    }));
+  });
+}
+
+function upstreamErrorReason(err) {
+  if (err.circuitOpen) return 'circuit_open';
+  if (err.injected) return 'injected';
+  if (err.fixtureMissing) return 'fixture_missing';
+  if (err.statusCode) return `http_${err.statusCode}`;
+  if (err.timedOut) return 'timeout';
+  if (err.invalidJSON) return 'invalid_json';
+  return 'network';
+}
+
+/**
+ * Render every metric — request and upstream series plus cache, breaker
+ * and process gauges sampled now — in Prometheus text format.
+ */
+function renderMetrics() {
+  const cacheMetrics = {
+    entries: new Metric('ambiant_cache_entries', 'gauge', 'Live entries per cache (including stale-servable ones)'),
+    maxEntries: new Metric('ambiant_cache_max_entries', 'gauge', 'Configured capacity per cache'),
+    hits: new Metric('ambiant_cache_hits_total', 'counter', 'Fresh cache hits'),
+    misses: new Metric('ambiant_cache_misses_total', 'counter', 'Cache misses'),
+    staleHits: new Metric('ambiant_cache_stale_hits_total', 'counter', 'Expired entries served stale while revalidating'),
+    evictions: new Metric('ambiant_cache_evictions_total', 'counter', 'Entries evicted to stay under capacity'),
+    coalesced: new Metric('ambiant_cache_coalesced_total', 'counter', 'Cache misses that joined an in-flight load')
+  };
+  for (const cache of allCaches) {
+    const stats = cache.stats();
+    const labels = { cache: stats.name };
+    for (const [field, metric] of Object.entries(cacheMetrics)) metric.set(labels, stats[field]);
+  }
+
+  const circuitOpen = new Metric('ambiant_upstream_circuit_open', 'gauge', 'Whether the host\'s circuit breaker is open (1) or not (0)');
+  for (const breaker of breakerStats()) circuitOpen.set({ host: breaker.host }, breaker.state === 'open' ? 1 : 0);
+
+  const streams = new Metric('ambiant_stream_clients', 'gauge', 'Open /scan/stream connections');
+  streams.set({}, streamClientCount);
+  const streamCells = new Metric('ambiant_stream_cells', 'gauge', 'Grid cells with at least one open stream (one refresh loop each)');
+  streamCells.set({}, streamGroups.size);
+
+  const memory = process.memoryUsage();
+  const processMetrics = [
+    ['ambiant_uptime_seconds', 'Seconds since the process started', process.uptime()],
+    ['process_resident_memory_bytes', 'Resident set size in bytes', memory.rss],
+    ['nodejs_heap_size_total_bytes', 'V8 heap allocated in bytes', memory.heapTotal],
+    ['nodejs_heap_size_used_bytes', 'V8 heap in use in bytes', memory.heapUsed],
+    ['nodejs_external_memory_bytes', 'Memory used by C++ objects bound to JavaScript', memory.external]
+  ].map(([name, help, value]) => {
+    const metric = new Metric(name, 'gauge', help);
+    metric.set({}, value);
+    return metric;
+  });
+
+  return [...Object.values(metrics), ...Object.values(cacheMetrics), circuitOpen, streams, streamCells, ...processMetrics]
+    .flatMap(metric => metric.lines())
+    .join('\n') + '\n';
+}
 
 // ─── HTTP Fetch Helper (zero deps) ─────────────────────────────────────────
 
-function fetch(targetUrl, timeoutMs = 8000) {
+function fetchOnce(targetUrl, timeoutMs) {
   return new Promise((resolve, reject) => {
     const parsedUrl = new URL(targetUrl);
     const driver = parsedUrl.protocol === 'https:' ? https : http;
@@ -133,19 +719,24 @@ function fetch(targetUrl, timeoutMs = 8000) {
     }, (res) => {
       // Handle redirects
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetch(res.headers.location, timeoutMs).then(resolve).catch(reject);
+        res.resume();
+        return fetchOnce(res.headers.location, timeoutMs).then(resolve).catch(reject);
       }
 
       let body = '';
       res.on('data', chunk => body += chunk);
       res.on('end', () => {
         if (res.statusCode < 200 || res.statusCode >= 300) {
-          return reject(new Error(`HTTP ${res.statusCode}: ${body.slice(0, 200)}`));
+          const err = new Error(`HTTP ${res.statusCode}: ${body.slice(0, 200)}`);
+          err.statusCode = res.statusCode;
+          return reject(err);
         }
         try {
           resolve(JSON.parse(body));
         } catch (e) {
-          reject(new Error(`JSON parse error: ${e.message}`));
+          const err = new Error(`JSON parse error: ${e.message}`);
+          err.invalidJSON = true;
+          reject(err);
         }
       });
     });
@@ -153,132 +744,826 @@ function fetch(targetUrl, timeoutMs = 8000) {
     req.on('error', reject);
     req.on('timeout', () => {
       req.destroy();
-      reject(new Error(`Timeout after ${timeoutMs}ms`));
+      const err = new Error(`Timeout after ${timeoutMs}ms`);
+      err.timedOut = true;
+      reject(err);
     });
   });
 }
 
-// ─── Geo Utilities ──────────────────────────────────────────────────────────
+function blockedAddressError(hostname, address) {
+  const err = new Error(`${hostname} resolves to a ${classifyIP(address)} address (${address})`);
+  err.blockedAddress = true;
+  return err;
+}
 
 /**
- * Round coordinates to ~1.1km precision grid for cache key grouping.
- * This means nearby requests share cache entries.
+ * `lookup` for outgoing webhook connections: resolves like dns.lookup but
+ * fails when any address is private, loopback or otherwise reserved (see
+ * classifyIP). Checking at connect time also catches a name re-pointed
+ * after the webhook was registered (DNS rebinding).
  */
-function roundCoords(lat, lon) {
-  return {
-    lat: Math.round(lat * 100) / 100,
-    lon: Math.round(lon * 100) / 100
-  };
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => classifyIP(address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
 }
 
-function coordsKey(lat, lon) {
-  const r = roundCoords(lat, lon);
-  return `${r.lat},${r.lon}`;
+/**
+ * POST a JSON body (already serialized) and resolve with the response
+ * status. Non-2xx answers reject with `err.statusCode` set, like fetchOnce.
+ * Only public addresses are reachable: webhook URLs are caller-supplied.
+ */
+function postJSON(targetUrl, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(targetUrl);
+    const driver = parsedUrl.protocol === 'https:' ? https : http;
+
+    // Literal IPs never reach `lookup`
+    const literal = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && classifyIP(literal)) return reject(blockedAddressError(literal, literal));
+
+    const req = driver.request(targetUrl, {
+      method: 'POST',
+      lookup: publicOnlyLookup,
+      headers: {
+        'User-Agent': 'AmbiantScan/1.0 (TheGovernorHQ)',
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const err = new Error(`HTTP ${res.statusCode}`);
+          err.statusCode = res.statusCode;
+          return reject(err);
+        }
+        resolve(res.statusCode);
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      const err = new Error(`Timeout after ${timeoutMs}ms`);
+      err.timedOut = true;
+      reject(err);
+    });
+    req.end(body);
+  });
 }
 
+// ─── Upstream Recording, Replay & Fault Injection ─────────────────────────
+
 /**
- * Reverse geocode: GPS → city/locality info.
- * Uses BigDataCloud free API (no key needed).
+ * Parse UPSTREAM_LATENCY_MS: a fixed delay (`250`) or a range (`100-400`)
+ * drawn uniformly per call. Empty means no injected latency.
  */
-async function reverseGeocode(lat, lon) {
-  const key = coordsKey(lat, lon);
-  const cached = geoCache.get(key);
-  if (cached) return cached;
+function parseLatencyRange(value) {
+  if (!value) return null;
+  const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(value);
+  if (!match) throw new Error(`"${value}" is not a delay in ms or a min-max range`);
+  const min = parseInt(match[1], 10);
+  const max = match[2] == null ? min : parseInt(match[2], 10);
+  if (max < min) throw new Error(`"${value}": the range maximum is below its minimum`);
+  return { min, max };
+}
 
-  const r = roundCoords(lat, lon);
-  const apiUrl = `https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${r.lat}&longitude=${r.lon}&localityLanguage=en`;
+/**
+ * Parse UPSTREAM_FAULTS: comma-separated `host` or `host:rate` entries
+ * (`*` for every host). Calls to a listed host fail with a simulated 503 at
+ * the given rate, 1 (always) by default.
+ */
+function parseUpstreamFaults(value) {
+  const faults = new Map();      // hostname → failure rate
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [host, rawRate, extra] = entry.split(':');
+    const rate = rawRate == null ? 1 : Number(rawRate);
+    if (!host || extra != null || !(rate > 0 && rate <= 1)) {
+      throw new Error(`"${entry}" must be host or host:rate with 0 < rate <= 1`);
+    }
+    faults.set(host.toLowerCase(), rate);
+  }
+  return faults;
+}
 
-  try {
-    const data = await fetch(apiUrl);
-    const result = {
-      city: data.city || data.locality || data.principalSubdivision || 'Unknown',
-      region: data.principalSubdivision || '',
-      country: data.countryName || '',
-      countryCode: data.countryCode || '',
-      lat: r.lat,
-      lon: r.lon
-    };
-    geoCache.set(key, result);
-    return result;
-  } catch (err) {
-    // Fallback: return coords-based location
-    return {
-      city: `Location (${r.lat}, ${r.lon})`,
-      region: '',
-      country: '',
-      countryCode: '',
-      lat: r.lat,
-      lon: r.lon
-    };
+let upstreamLatency;
+let upstreamFaults;
+let UPSTREAM_MODE;
+
+function loadUpstreamMode() {
+  if (RECORD_DIR && REPLAY_DIR) throw new Error('RECORD_DIR and REPLAY_DIR are mutually exclusive');
+  if (REPLAY_DIR && !fs.statSync(REPLAY_DIR, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new Error(`REPLAY_DIR ${REPLAY_DIR} is not a directory`);
   }
+  return {
+    latency: parseLatencyRange(UPSTREAM_LATENCY_MS),
+    faults: parseUpstreamFaults(UPSTREAM_FAULTS),
+    mode: REPLAY_DIR ? 'replay' : RECORD_DIR ? 'record' : 'live'
+  };
 }
 
+const fixtureStats = { recorded: 0, served: 0, missing: 0 };
+
 /**
- * Forward geocode: city name → coordinates.
- * Uses Open-Meteo geocoding API (no key needed).
+ * The URL a fixture is keyed by: query parameters sorted, fragment dropped,
+ * host lower-cased and default port removed (by URL itself), so the same
+ * upstream request always maps to the same file.
  */
-async function forwardGeocode(cityName) {
-  const key = cityName.toLowerCase().trim();
-  const cached = cityResolveCache.get(key);
-  if (cached) return cached;
+function normalizeUpstreamURL(targetUrl) {
+  const target = new URL(targetUrl);
+  target.searchParams.sort();
+  target.hash = '';
+  return target.toString();
+}
 
-  const apiUrl = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(cityName)}&count=1&language=en&format=json`;
-  const data = await fetch(apiUrl);
+/**
+ * `<dir>/<host>/<path>-<hash>.json` — grouped by host and readable at a
+ * glance; the hash of the normalized URL tells query variants apart.
+ */
+function fixturePath(dir, normalizedUrl) {
+  const target = new URL(normalizedUrl);
+  const slug = target.pathname.replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '') || 'root';
+  const hash = crypto.createHash('sha256').update(normalizedUrl).digest('hex').slice(0, 16);
+  return path.join(dir, target.host.replace(/[^\w.-]/g, '_'), `${slug}-${hash}.json`);
+}
 
-  if (!data.results || data.results.length === 0) {
-    throw new Error(`City not found: "${cityName}"`);
+async function recordFixture(targetUrl, data) {
+  const normalizedUrl = normalizeUpstreamURL(targetUrl);
+  const file = fixturePath(RECORD_DIR, normalizedUrl);
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ url: normalizedUrl, recorded_at: new Date().toISOString(), body: data }, null, 2) + '\n');
+    await fs.promises.rename(`${file}.tmp`, file);
+    fixtureStats.recorded++;
+  } catch (err) {
+    logger.error('Fixture recording failed', { url: normalizedUrl, file, error: err.message });
   }
-
-  const r = data.results[0];
-  const result = {
-    city: r.name,
-    region: r.admin1 || '',
-    country: r.country || '',
-    countryCode: r.country_code || '',
-    lat: Math.round(r.latitude * 100) / 100,
-    lon: Math.round(r.longitude * 100) / 100
-  };
-  cityResolveCache.set(key, result);
-  return result;
 }
 
-// ─── Environmental Data Fetchers ────────────────────────────────────────────
-
 /**
- * Fetch weather data from Open-Meteo (free, no API key).
- * Returns current conditions + hourly forecast for today.
+ * Answer an upstream call from REPLAY_DIR. A missing fixture is a broken
+ * test setup rather than an outage: it is logged as an error, never retried
+ * or failed over, and fails the request instead of degrading it.
  */
-async function fetchWeather(lat, lon) {
-  const apiUrl = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}`
-    + `&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,rain,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m,is_day`
-    + `&daily=temperature_2m_max,temperature_2m_min,sunrise,sunset,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max`
-    + `&timezone=auto`
-    + `&forecast_days=1`;
+async function replayFixture(targetUrl) {
+  const normalizedUrl = normalizeUpstreamURL(targetUrl);
+  const file = fixturePath(REPLAY_DIR, normalizedUrl);
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    fixtureStats.missing++;
+    logger.error('Replay fixture missing', { url: normalizedUrl, file });
+    const missing = new HttpError(502, `No replay fixture for ${normalizedUrl}`, { url: normalizedUrl, file });
+    missing.fixtureMissing = true;
+    missing.definitive = true;
+    throw missing;
+  }
+  fixtureStats.served++;
+  return JSON.parse(text).body;
+}
 
-  return fetch(apiUrl);
+function injectedFault(hostname) {
+  const rate = upstreamFaults.get(hostname) ?? upstreamFaults.get('*');
+  if (rate == null || Math.random() >= rate) return null;
+  const err = new Error(`HTTP 503: injected fault for ${hostname} (UPSTREAM_FAULTS)`);
+  err.statusCode = 503;
+  err.injected = true;
+  return err;
 }
 
 /**
- * Fetch air quality data from Open-Meteo (free, no API key).
- * Includes AQI, PM2.5, PM10, NO2, O3, SO2, CO.
+ * One upstream GET as \`fetch\` sees it: injected latency and faults first,
+ * then a replayed fixture or the network — recording the answer in
+ * RECORD_DIR mode. Only successful JSON answers are recorded.
  */
-async function fetchAirQuality(lat, lon) {
-  const apiUrl = `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${lat}&longitude=${lon}`
-    + `&current=us_aqi,pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone,dust,uv_index,uv_index_clear_sky`
-    + `&timezone=auto`;
+async function fetchUpstream(targetUrl, timeoutMs) {
+  if (upstreamLatency) {
+    await sleep(upstreamLatency.min + Math.random() * (upstreamLatency.max - upstreamLatency.min));
+  }
+  const fault = injectedFault(new URL(targetUrl).hostname);
+  if (fault) throw fault;
 
-  return fetch(apiUrl);
+  if (REPLAY_DIR) return replayFixture(targetUrl);
+  const data = await fetchOnce(targetUrl, timeoutMs);
+  if (RECORD_DIR) await recordFixture(targetUrl, data);
+  return data;
 }
 
-// ─── Data Modeling / Normalization ──────────────────────────────────────────
+function upstreamModeStats() {
+  return {
+    mode: UPSTREAM_MODE,
+    ...(UPSTREAM_MODE === 'live' ? {} : { dir: REPLAY_DIR || RECORD_DIR, fixtures: fixtureStats }),
+    ...(upstreamLatency ? { latency_ms: upstreamLatency } : {}),
+    ...(upstreamFaults.size ? { faults: Object.fromEntries(upstreamFaults) } : {})
+  };
+}
 
-const WEATHER_CODES = {
-  0: 'Clear sky', 1: 'Mainly clear', 2: 'Partly cloudy', 3: 'Overcast',
-  45: 'Fog', 48: 'Depositing rime fog',
-  51: 'Light drizzle', 53: 'Moderate drizzle', 55: 'Dense drizzle',
-  56: 'Light freezing drizzle', 57: 'Dense freezing drizzle',
-  61: 'Slight rain', 63: 'Moderate rain', 65: 'Heavy rain',
-  66: 'Light freezing rain', 67: 'Heavy freezing rain',
+// ─── Upstream Resilience (retries & circuit breakers) ──────────────────────
+
+/**
+ * Per-host circuit breaker. After BREAKER_FAILURE_THRESHOLD consecutive
+ * failures the host is skipped for BREAKER_COOLDOWN; then a single trial
+ * request (half-open) decides whether it closes again or re-opens.
+ */
+class CircuitBreaker {
+  constructor(host) {
+    this.host = host;
+    this.state = 'closed';        // closed → open → half_open → closed | open
+    this.consecutiveFailures = 0;
+    this.failures = 0;
+    this.successes = 0;
+    this.rejected = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= BREAKER_COOLDOWN) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    this.rejected++;
+    return false;
+  }
+
+  onSuccess() {
+    this.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  // A 4xx says nothing about the host's health: free the trial slot and
+  // leave the state and the failure streak as they are
+  onInconclusive() {
+    this.trialInFlight = false;
+  }
+
+  onFailure() {
+    this.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+      if (this.state !== 'open') logger.warn('Circuit open', { host: this.host, consecutive_failures: this.consecutiveFailures });
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  stats() {
+    return {
+      host: this.host,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failures: this.failures,
+      successes: this.successes,
+      rejected: this.rejected,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + BREAKER_COOLDOWN).toISOString() : null
+    };
+  }
+}
+
+const breakers = new Map();       // host → CircuitBreaker
+
+function breakerFor(host) {
+  if (!breakers.has(host)) breakers.set(host, new CircuitBreaker(host));
+  return breakers.get(host);
+}
+
+function breakerStats() {
+  return [...breakers.values()].map(b => b.stats());
+}
+
+/**
+ * Only outages are worth retrying: network errors, timeouts, 429 and 5xx.
+ * Other 4xx answers mean the host is up and the request itself is wrong.
+ */
+function isRetryable(err) {
+  if (err.fixtureMissing || err.blockedAddress) return false;
+  return err.statusCode == null || err.statusCode === 429 || err.statusCode >= 500;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * GET + parse JSON from an upstream API, guarded by the host's circuit
+ * breaker and retried with full-jitter exponential backoff.
+ */
+async function fetch(targetUrl, timeoutMs = 8000) {
+  const breaker = breakerFor(new URL(targetUrl).host);
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.allowRequest()) {
+      const err = new Error(`Circuit open for ${breaker.host} — skipping upstream call`);
+      err.circuitOpen = true;
+      metrics.upstreamErrors.inc({ host: breaker.host, reason: upstreamErrorReason(err) });
+      recordUpstreamCall({ host: breaker.host, attempt, outcome: 'circuit_open', ms: 0 });
+      throw err;
+    }
+
+    const startedAt = process.hrtime.bigint();
+    try {
+      const data = await fetchUpstream(targetUrl, timeoutMs);
+      metrics.upstreamDuration.observe({ host: breaker.host, outcome: 'success' }, secondsSince(startedAt));
+      recordUpstreamCall({ host: breaker.host, attempt, outcome: 'success', ms: msSince(startedAt) });
+      breaker.onSuccess();
+      return data;
+    } catch (err) {
+      metrics.upstreamDuration.observe({ host: breaker.host, outcome: 'error' }, secondsSince(startedAt));
+      metrics.upstreamErrors.inc({ host: breaker.host, reason: upstreamErrorReason(err) });
+      recordUpstreamCall({ host: breaker.host, attempt, outcome: upstreamErrorReason(err), ms: msSince(startedAt) });
+      if (!isRetryable(err)) {
+        breaker.onInconclusive();
+        throw err;
+      }
+      breaker.onFailure();
+      if (attempt >= UPSTREAM_RETRIES) throw err;
+      await sleep(Math.random() * UPSTREAM_RETRY_BASE_MS * 2 ** attempt);
+    }
+  }
+}
+
+// ─── Upstream Providers ─────────────────────────────────────────────────────
+
+/**
+ * Adapters per capability: `url(baseUrl, args)` builds the request and the
+ * optional `parse(data, args)` normalizes the answer. Open-Meteo style
+ * capabilities return the raw payload, so any compatible mirror can stand in.
+ * A parse error flagged `definitive` (e.g. "city not found") is an answer,
+ * not an outage, and stops failover.
+ */
+const PROVIDER_ADAPTERS = {
+  weather: {
+    'open-meteo': { url: (base, query) => `${base}/v1/forecast?${query}` }
+  },
+  weatherArchive: {
+    'open-meteo': { url: (base, query) => `${base}/v1/archive?${query}` }
+  },
+  airQuality: {
+    'open-meteo': { url: (base, query) => `${base}/v1/air-quality?${query}` }
+  },
+  forwardGeocode: {
+    'open-meteo': {
+      url: (base, { name, count, country }) => `${base}/v1/search?name=${encodeURIComponent(name)}&count=${count}`
+        + (country ? `&countryCode=${country}` : '') + '&language=en&format=json',
+      parse: (data) => (data.results || []).map(openMeteoPlace)
+    }
+  },
+  placeLookup: {
+    'open-meteo': {
+      url: (base, id) => `${base}/v1/get?id=${encodeURIComponent(id)}&language=en&format=json`,
+      parse: (data, id) => {
+        if (!data || data.id == null) {
+          throw definitiveError(`Place not found: "geonames:${id}"`);
+        }
+        return openMeteoPlace(data);
+      }
+    }
+  },
+  reverseGeocode: {
+    bigdatacloud: {
+      url: (base, { lat, lon }) => `${base}/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`,
+      parse: (data) => ({
+        city: data.city || data.locality || data.principalSubdivision || 'Unknown',
+        region: data.principalSubdivision || '',
+        country: data.countryName || '',
+        countryCode: data.countryCode || ''
+      })
+    }
+  },
+  geoip: {
+    // ip-api.com free tier: 45 req/min, HTTP only (HTTPS requires paid plan)
+    'ip-api': {
+      url: (base, ip) => `${base}/json/${encodeURIComponent(ip)}?fields=status,message,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp,org,as,query`,
+      parse: (data) => {
+        if (data.status !== 'success') {
+          throw definitiveError(data.message || 'GeoIP lookup failed');
+        }
+        return {
+          ip: data.query,
+          lat: data.lat,
+          lon: data.lon,
+          city: data.city || 'Unknown',
+          region: data.regionName || '',
+          regionCode: data.region || '',
+          country: data.country || '',
+          countryCode: data.countryCode || '',
+          zip: data.zip || '',
+          timezone: data.timezone || '',
+          isp: data.isp || '',
+          org: data.org || '',
+          as: data.as || ''
+        };
+      }
+    },
+    // ipwho.is: free, HTTPS, no key
+    ipwhois: {
+      url: (base, ip) => `${base}/${encodeURIComponent(ip)}`,
+      parse: (data) => {
+        if (data.success === false) {
+          throw definitiveError(data.message || 'GeoIP lookup failed');
+        }
+        const conn = data.connection || {};
+        return {
+          ip: data.ip,
+          lat: data.latitude,
+          lon: data.longitude,
+          city: data.city || 'Unknown',
+          region: data.region || '',
+          regionCode: data.region_code || '',
+          country: data.country || '',
+          countryCode: data.country_code || '',
+          zip: data.postal || '',
+          timezone: data.timezone?.id || '',
+          isp: conn.isp || '',
+          org: conn.org || '',
+          as: conn.asn ? `AS${conn.asn} ${conn.org || ''}`.trim() : ''
+        };
+      }
+    }
+  }
+};
+
+/**
+ * Normalize an Open-Meteo geocoding result into a place candidate. Its ids
+ * are GeoNames ids, prefixed so they stay unambiguous if other sources join.
+ */
+function openMeteoPlace(r) {
+  return {
+    id: `geonames:${r.id}`,
+    city: r.name,
+    region: r.admin1 || '',
+    admin: [r.admin1, r.admin2, r.admin3, r.admin4].filter(Boolean),
+    country: r.country || '',
+    countryCode: r.country_code || '',
+    lat: Math.round(r.latitude * 100) / 100,
+    lon: Math.round(r.longitude * 100) / 100,
+    population: r.population ?? null,
+    featureCode: r.feature_code || null,
+    timezone: r.timezone || null,
+    elevation: r.elevation ?? null
+  };
+}
+
+function definitiveError(message) {
+  const err = new Error(message);
+  err.definitive = true;
+  return err;
+}
+
+/**
+ * Parse a `*_PROVIDERS` value into an ordered provider list. Each entry is
+ * `adapter=baseUrl`, or just a base URL which then uses `defaultAdapter`.
+ */
+function parseProviders(capability, envValue, defaultAdapter, defaultUrl) {
+  const entries = (envValue || `${defaultAdapter}=${defaultUrl}`)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return entries.map(entry => {
+    const eq = entry.indexOf('=');
+    const named = eq > 0 && !entry.slice(0, eq).includes(':');
+    const adapter = named ? entry.slice(0, eq) : defaultAdapter;
+    const baseUrl = (named ? entry.slice(eq + 1) : entry).replace(/\/+$/, '');
+
+    if (!PROVIDER_ADAPTERS[capability][adapter]) {
+      throw new Error(`Unknown ${capability} provider adapter "${adapter}" (available: ${Object.keys(PROVIDER_ADAPTERS[capability]).join(', ')})`);
+    }
+    return { adapter, baseUrl, name: `${adapter}@${new URL(baseUrl).host}` };
+  });
+}
+
+let PROVIDERS;
+
+function loadProviders(env) {
+  return {
+    weather: parseProviders('weather', env.WEATHER_PROVIDERS, 'open-meteo', 'https://api.open-meteo.com'),
+    weatherArchive: parseProviders('weatherArchive', env.WEATHER_ARCHIVE_PROVIDERS, 'open-meteo', 'https://archive-api.open-meteo.com'),
+    airQuality: parseProviders('airQuality', env.AIR_QUALITY_PROVIDERS, 'open-meteo', 'https://air-quality-api.open-meteo.com'),
+    forwardGeocode: parseProviders('forwardGeocode', env.GEOCODING_PROVIDERS, 'open-meteo', 'https://geocoding-api.open-meteo.com'),
+    placeLookup: parseProviders('placeLookup', env.GEOCODING_PROVIDERS, 'open-meteo', 'https://geocoding-api.open-meteo.com'),
+    reverseGeocode: parseProviders('reverseGeocode', env.REVERSE_GEOCODING_PROVIDERS, 'bigdatacloud', 'https://api.bigdatacloud.net'),
+    geoip: parseProviders('geoip', env.GEOIP_PROVIDERS, 'ip-api', 'http://ip-api.com')
+  };
+}
+
+/**
+ * Call a capability's providers in order until one answers.
+ * Resolves to `{ data, provider }` where `provider` is e.g. "open-meteo@api.open-meteo.com".
+ */
+async function fetchFromProviders(capability, args, timeoutMs) {
+  const failures = [];               // [provider name, error]
+
+  for (const provider of PROVIDERS[capability]) {
+    const adapter = PROVIDER_ADAPTERS[capability][provider.adapter];
+    try {
+      const raw = await fetch(adapter.url(provider.baseUrl, args), timeoutMs);
+      const data = adapter.parse ? adapter.parse(raw, args) : raw;
+      return { data, provider: provider.name };
+    } catch (err) {
+      if (err.definitive) throw err;
+      failures.push([provider.name, err]);
+    }
+  }
+
+  if (failures.length === 1) throw failures[0][1];
+  throw new Error(`All ${capability} providers failed — ${failures.map(([name, err]) => `${name}: ${err.message}`).join('; ')}`);
+}
+
+function providerStats() {
+  const result = {};
+  for (const [capability, providers] of Object.entries(PROVIDERS)) {
+    result[capability] = providers.map(p => p.name);
+  }
+  return result;
+}
+
+// ─── Geo Utilities ──────────────────────────────────────────────────────────
+
+/**
+ * Round coordinates to ~1.1km precision grid for cache key grouping.
+ * This means nearby requests share cache entries.
+ */
+function roundCoords(lat, lon) {
+  return {
+    lat: Math.round(lat * 100) / 100,
+    lon: Math.round(lon * 100) / 100
+  };
+}
+
+function coordsKey(lat, lon) {
+  const r = roundCoords(lat, lon);
+  return `${r.lat},${r.lon}`;
+}
+
+/**
+ * Great-circle distance in km between two `{ lat, lon }` points.
+ */
+function haversineKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371.0088 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Longitude (or a difference of two) brought into [-180, 180)
+function wrapLongitude(lon) {
+  return ((lon + 540) % 360) - 180;
+}
+
+/**
+ * Walk a path of `{ lat, lon }` points and drop a sample every `spacingKm`
+ * (plus both ends), each snapped to the grid. Consecutive samples in the same
+ * grid cell collapse into one, keeping the first position along the route.
+ * Each leg goes the shorter way round, so one crossing the antimeridian
+ * (179.5 → -179.5) stays 1° wide.
+ * Returns `{ samples: [{ lat, lon, key, distanceKm }], totalKm }`.
+ */
+function sampleRoute(points, spacingKm) {
+  const samples = [];
+  const add = (lat, lon, distanceKm) => {
+    const r = roundCoords(lat, lon);
+    const key = `${r.lat},${r.lon}`;
+    if (samples.length && samples[samples.length - 1].key === key) return;
+    samples.push({ ...r, key, distanceKm });
+  };
+
+  let travelled = 0;
+  let nextAt = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = haversineKm(a, b);
+    const dLon = wrapLongitude(b.lon - a.lon);
+    while (nextAt <= travelled + length) {
+      const t = length === 0 ? 0 : (nextAt - travelled) / length;
+      add(a.lat + (b.lat - a.lat) * t, wrapLongitude(a.lon + dLon * t), nextAt);
+      nextAt += spacingKm;
+    }
+    travelled += length;
+  }
+  const end = points[points.length - 1];
+  add(end.lat, end.lon, travelled);
+
+  return { samples, totalKm: travelled };
+}
+
+/**
+ * Reverse geocode: GPS → city/locality info.
+ * Uses BigDataCloud free API (no key needed) unless overridden.
+ */
+async function reverseGeocode(lat, lon) {
+  const key = coordsKey(lat, lon);
+  const cached = geoCache.get(key);
+  if (cached) return cached;
+
+  return geoCache.coalesce(key, async () => {
+    const r = roundCoords(lat, lon);
+
+    try {
+      const { data, provider } = await fetchFromProviders('reverseGeocode', r);
+      const result = { ...data, lat: r.lat, lon: r.lon, provider };
+      geoCache.set(key, result);
+      return result;
+    } catch (err) {
+      if (err.fixtureMissing) throw err;
+      // Fallback: return coords-based location
+      return {
+        city: `Location (${r.lat}, ${r.lon})`,
+        region: '',
+        country: '',
+        countryCode: '',
+        lat: r.lat,
+        lon: r.lon,
+        provider: null
+      };
+    }
+  });
+}
+
+const MAX_GEOCODE_RESULTS = 100;        // Open-Meteo's `count` ceiling
+
+/**
+ * Forward geocode: city name → coordinates of the best match, optionally
+ * pinned to an ISO 3166-1 alpha-2 country code.
+ * Uses Open-Meteo geocoding API (no key needed) unless overridden.
+ */
+async function forwardGeocode(cityName, country = '') {
+  const name = cityName.toLowerCase().trim();
+  const key = country ? `${name}|${country}` : name;
+  const cached = cityResolveCache.get(key);
+  if (cached) return cached;
+
+  return cityResolveCache.coalesce(key, async () => {
+    const { data, provider } = await fetchFromProviders('forwardGeocode', { name: cityName, count: 1, country });
+    if (data.length === 0) {
+      throw new Error(`City not found: "${cityName}"${country ? ` in ${country}` : ''}`);
+    }
+    const result = { ...data[0], provider };
+    cityResolveCache.set(key, result);
+    return result;
+  });
+}
+
+/**
+ * Geocoding search: place name → up to `limit` candidates, ranked by the
+ * provider (best match first). An empty list is a valid answer.
+ */
+async function searchPlaces(query, { country = '', limit = 10 } = {}) {
+  const key = `search:${query.toLowerCase().trim()}|${country}|${limit}`;
+  const cached = cityResolveCache.get(key);
+  if (cached) return cached;
+
+  return cityResolveCache.coalesce(key, async () => {
+    const { data, provider } = await fetchFromProviders('forwardGeocode', { name: query, count: limit, country });
+    const result = { results: data.map((place, i) => ({ rank: i + 1, ...place })), provider };
+    cityResolveCache.set(key, result);
+    return result;
+  });
+}
+
+/**
+ * Look up a place by the stable id returned from a geocoding search
+ * (`geonames:<id>`), so clients can pin an exact candidate.
+ */
+async function lookupPlace(placeId) {
+  const key = `id:${placeId}`;
+  const cached = cityResolveCache.get(key);
+  if (cached) return cached;
+
+  return cityResolveCache.coalesce(key, async () => {
+    const { data, provider } = await fetchFromProviders('placeLookup', placeId.slice('geonames:'.length));
+    const result = { ...data, provider };
+    cityResolveCache.set(key, result);
+    return result;
+  });
+}
+
+// ─── Environmental Data Fetchers ────────────────────────────────────────────
+
+/**
+ * Fetch weather data from Open-Meteo (free, no API key).
+ * Returns current conditions + hourly forecast for today.
+ * Like every fetcher below, resolves to `{ data, provider }`.
+ */
+async function fetchWeather(lat, lon) {
+  const query = `latitude=${lat}&longitude=${lon}`
+    + `&current=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,rain,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m,is_day`
+    + `&daily=temperature_2m_max,temperature_2m_min,sunrise,sunset,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max`
+    + `&timezone=auto`
+    + `&forecast_days=1`;
+
+  return fetchFromProviders('weather', query);
+}
+
+/**
+ * Fetch air quality data from Open-Meteo (free, no API key).
+ * Includes AQI, PM2.5, PM10, NO2, O3, SO2, CO.
+ */
+async function fetchAirQuality(lat, lon) {
+  const query = `latitude=${lat}&longitude=${lon}`
+    + `&current=us_aqi,european_aqi,pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone,dust,uv_index,uv_index_clear_sky`
+    + `,${Object.keys(POLLEN_TYPES).map(type => `${type}_pollen`).join(',')}`
+    + `&timezone=auto`;
+
+  return fetchFromProviders('airQuality', query);
+}
+
+// Open-Meteo caps: weather forecast up to 16 days, air quality up to 7 days
+const MAX_FORECAST_DAYS = 16;
+const MAX_AIR_QUALITY_FORECAST_DAYS = 7;
+
+/**
+ * Fetch a multi-day weather forecast from Open-Meteo.
+ * Daily aggregates are always requested; hourly series only when asked for.
+ */
+async function fetchWeatherForecast(lat, lon, days, hourly) {
+  const query = `latitude=${lat}&longitude=${lon}`
+    + `&daily=weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant`
+    + (hourly
+      ? `&hourly=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,precipitation_probability,weather_code,cloud_cover,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index,is_day`
+      : '')
+    + `&timezone=auto`
+    + `&forecast_days=${days}`;
+
+  return fetchFromProviders('weather', query);
+}
+
+/**
+ * Fetch the hourly air quality forecast from Open-Meteo.
+ * The API has no daily aggregates, so daily AQI is derived from these hours.
+ */
+async function fetchAirQualityForecast(lat, lon, days) {
+  const query = `latitude=${lat}&longitude=${lon}`
+    + `&hourly=us_aqi,pm10,pm2_5,uv_index`
+    + `&timezone=auto`
+    + `&forecast_days=${Math.min(days, MAX_AIR_QUALITY_FORECAST_DAYS)}`;
+
+  return fetchFromProviders('airQuality', query);
+}
+
+// Archive limits: ERA5 starts in 1940 and lags real time by a few days
+const HISTORY_EARLIEST_DATE = '1940-01-01';
+const HISTORY_ARCHIVE_LAG_DAYS = 5;
+const MAX_HISTORY_DAYS = 366;
+const MAX_HISTORY_HOURLY_DAYS = 31;
+
+/**
+ * Fetch archived weather for a date range from the Open-Meteo archive (ERA5).
+ * The archive has no UV or precipitation probability; UV comes from air quality.
+ */
+async function fetchWeatherHistory(lat, lon, start, end, hourly) {
+  const query = `latitude=${lat}&longitude=${lon}`
+    + `&start_date=${start}&end_date=${end}`
+    + `&daily=weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,precipitation_sum,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant`
+    + (hourly
+      ? `&hourly=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,cloud_cover,wind_speed_10m,wind_direction_10m,wind_gusts_10m,is_day`
+      : '')
+    + `&timezone=auto`;
+
+  return fetchFromProviders('weatherArchive', query);
+}
+
+/**
+ * Fetch historical hourly air quality for a date range from Open-Meteo.
+ * Coverage starts mid-2022; earlier ranges come back empty or fail.
+ */
+async function fetchAirQualityHistory(lat, lon, start, end) {
+  const query = `latitude=${lat}&longitude=${lon}`
+    + `&hourly=us_aqi,pm10,pm2_5,uv_index`
+    + `&start_date=${start}&end_date=${end}`
+    + `&timezone=auto`;
+
+  return fetchFromProviders('airQuality', query);
+}
+
+// ─── Data Modeling / Normalization ──────────────────────────────────────────
+
+const WEATHER_CODES = {
+  0: 'Clear sky', 1: 'Mainly clear', 2: 'Partly cloudy', 3: 'Overcast',
+  45: 'Fog', 48: 'Depositing rime fog',
+  51: 'Light drizzle', 53: 'Moderate drizzle', 55: 'Dense drizzle',
+  56: 'Light freezing drizzle', 57: 'Dense freezing drizzle',
+  61: 'Slight rain', 63: 'Moderate rain', 65: 'Heavy rain',
+  66: 'Light freezing rain', 67: 'Heavy freezing rain',
   71: 'Slight snow', 73: 'Moderate snow', 75: 'Heavy snow',
   77: 'Snow grains',
   80: 'Slight rain showers', 81: 'Moderate rain showers', 82: 'Violent rain showers',
@@ -286,330 +1571,3305 @@ const WEATHER_CODES = {
   95: 'Thunderstorm', 96: 'Thunderstorm with slight hail', 99: 'Thunderstorm with heavy hail'
 };
 
-function aqiLevel(aqi) {
-  if (aqi == null) return { level: 'unknown', concern: 'No data available' };
-  if (aqi <= 50) return { level: 'good', concern: 'Air quality is satisfactory' };
-  if (aqi <= 100) return { level: 'moderate', concern: 'Acceptable; moderate concern for sensitive individuals' };
-  if (aqi <= 150) return { level: 'unhealthy_sensitive', concern: 'Sensitive groups may experience health effects' };
-  if (aqi <= 200) return { level: 'unhealthy', concern: 'Everyone may begin to experience health effects' };
-  if (aqi <= 300) return { level: 'very_unhealthy', concern: 'Health alert: everyone may experience serious effects' };
-  return { level: 'hazardous', concern: 'Health warning of emergency conditions' };
+function aqiLevel(aqi) {
+  if (aqi == null) return { level: 'unknown', concern: 'No data available' };
+  if (aqi <= 50) return { level: 'good', concern: 'Air quality is satisfactory' };
+  if (aqi <= 100) return { level: 'moderate', concern: 'Acceptable; moderate concern for sensitive individuals' };
+  if (aqi <= 150) return { level: 'unhealthy_sensitive', concern: 'Sensitive groups may experience health effects' };
+  if (aqi <= 200) return { level: 'unhealthy', concern: 'Everyone may begin to experience health effects' };
+  if (aqi <= 300) return { level: 'very_unhealthy', concern: 'Health alert: everyone may experience serious effects' };
+  return { level: 'hazardous', concern: 'Health warning of emergency conditions' };
+}
+
+const AQI_LEVELS = ['good', 'moderate', 'unhealthy_sensitive', 'unhealthy', 'very_unhealthy', 'hazardous'];
+
+/**
+ * EPA AQI breakpoints per pollutant: [concLow, concHigh, aqiLow, aqiHigh].
+ * PM is in μg/m³; gases are converted from Open-Meteo's μg/m³ to ppb (ppm
+ * for CO) at 25 °C. Concentrations are truncated to each table's precision
+ * before interpolation. Open-Meteo's current values are hourly, so the
+ * 8-/24-hour tables are applied to hourly readings — an estimate of the
+ * official index, which the upstream `us_aqi` computes from rolling means.
+ */
+const EPA_BREAKPOINTS = {
+  pm2_5: {
+    decimals: 1,
+    table: [[0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]]
+  },
+  pm10: {
+    decimals: 0,
+    table: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]]
+  },
+  ozone: {
+    // The 8-hour table stops at 200 ppb. The 1-hour table applies from
+    // 125 ppb, and where both do the higher index wins
+    decimals: 0,
+    toUnit: (ugm3) => ugm3 * 24.45 / 48.00,
+    table: [[0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150], [86, 105, 151, 200], [106, 200, 201, 300]],
+    oneHourTable: [[125, 164, 101, 150], [165, 204, 151, 200], [205, 404, 201, 300], [405, 604, 301, 500]]
+  },
+  nitrogen_dioxide: {
+    decimals: 0,
+    toUnit: (ugm3) => ugm3 * 24.45 / 46.01,
+    table: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]]
+  },
+  sulphur_dioxide: {
+    decimals: 0,
+    toUnit: (ugm3) => ugm3 * 24.45 / 64.07,
+    table: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]]
+  },
+  carbon_monoxide: {
+    decimals: 1,
+    toUnit: (ugm3) => ugm3 * 24.45 / 28.01 / 1000,
+    table: [[0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]]
+  }
+};
+
+// Linear interpolation within the matching row, or null past the last one
+function breakpointIndex(table, conc) {
+  const row = table.find(([, cHigh]) => conc <= cHigh);
+  if (!row) return null;
+  const [cLow, cHigh, iLow, iHigh] = row;
+  return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (Math.max(conc, cLow) - cLow) + iLow);
+}
+
+/**
+ * EPA sub-index for one pollutant concentration (μg/m³), or null. Values
+ * beyond the last breakpoint are reported as 500.
+ */
+function epaSubIndex(pollutant, ugm3) {
+  if (ugm3 == null) return null;
+  const { decimals, toUnit = (v) => v, table, oneHourTable } = EPA_BREAKPOINTS[pollutant];
+  const factor = 10 ** decimals;
+  const conc = Math.floor(Math.max(0, toUnit(ugm3)) * factor) / factor;
+  const indices = [breakpointIndex(table, conc)];
+  if (oneHourTable && conc >= oneHourTable[0][0]) indices.push(breakpointIndex(oneHourTable, conc));
+  const found = indices.filter(index => index != null);
+  return found.length ? Math.max(...found) : 500;
+}
+
+/**
+ * Per-pollutant EPA sub-indices and the pollutant with the highest one.
+ */
+function epaSubIndices(aq) {
+  const subIndices = {};
+  let dominant = null;
+  for (const pollutant of Object.keys(EPA_BREAKPOINTS)) {
+    const aqi = epaSubIndex(pollutant, aq[pollutant] ?? null);
+    subIndices[pollutant] = { aqi, level: aqiLevel(aqi).level };
+    if (aqi != null && (dominant === null || aqi > subIndices[dominant].aqi)) dominant = pollutant;
+  }
+  return { subIndices, dominant };
+}
+
+// European Environment Agency bands, as used by Open-Meteo's european_aqi:
+// upper bounds for each level, anything above 100 is extremely_poor
+const EUROPEAN_AQI_LEVELS = ['good', 'fair', 'moderate', 'poor', 'very_poor', 'extremely_poor'];
+const EUROPEAN_AQI_BANDS = [20, 40, 60, 80, 100];
+
+function europeanAqiLevel(eaqi) {
+  if (eaqi == null) return 'unknown';
+  const band = EUROPEAN_AQI_BANDS.findIndex(upper => eaqi <= upper);
+  return EUROPEAN_AQI_LEVELS[band === -1 ? EUROPEAN_AQI_LEVELS.length - 1 : band];
+}
+
+/**
+ * Pollen species reported by Open-Meteo (CAMS, Europe only — null
+ * elsewhere), with National Allergy Bureau thresholds in grains/m³:
+ * upper bounds for low, moderate and high; anything above is very_high.
+ */
+const POLLEN_TYPES = {
+  alder: [14, 89, 1499],
+  birch: [14, 89, 1499],
+  olive: [14, 89, 1499],
+  grass: [4, 19, 199],
+  mugwort: [9, 49, 499],
+  ragweed: [9, 49, 499]
+};
+
+const POLLEN_LEVELS = ['none', 'low', 'moderate', 'high', 'very_high'];
+
+function pollenLevel(grains, [low, moderate, high]) {
+  if (grains == null) return 'unknown';
+  if (grains < 1) return 'none';
+  if (grains <= low) return 'low';
+  if (grains <= moderate) return 'moderate';
+  if (grains <= high) return 'high';
+  return 'very_high';
+}
+
+function uvLevel(uvi) {
+  if (uvi == null) return { level: 'unknown', concern: 'No data available' };
+  if (uvi <= 2) return { level: 'low', concern: 'No protection needed' };
+  if (uvi <= 5) return { level: 'moderate', concern: 'Seek shade during midday' };
+  if (uvi <= 7) return { level: 'high', concern: 'Reduce sun exposure between 10am-4pm' };
+  if (uvi <= 10) return { level: 'very_high', concern: 'Extra protection needed; avoid being outside during midday' };
+  return { level: 'extreme', concern: 'Take all precautions; unprotected skin can burn in minutes' };
+}
+
+function windDescription(speedKmh) {
+  if (speedKmh == null) return 'unknown';
+  if (speedKmh < 1) return 'calm';
+  if (speedKmh < 6) return 'light air';
+  if (speedKmh < 12) return 'light breeze';
+  if (speedKmh < 20) return 'gentle breeze';
+  if (speedKmh < 29) return 'moderate breeze';
+  if (speedKmh < 39) return 'fresh breeze';
+  if (speedKmh < 50) return 'strong breeze';
+  if (speedKmh < 62) return 'high wind';
+  if (speedKmh < 75) return 'gale';
+  if (speedKmh < 89) return 'strong gale';
+  if (speedKmh < 103) return 'storm';
+  if (speedKmh < 118) return 'violent storm';
+  return 'hurricane';
+}
+
+const COMPASS_LABELS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+                        'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function windDirectionLabel(degrees) {
+  if (degrees == null) return 'unknown';
+  return COMPASS_LABELS[Math.round(degrees / 22.5) % 16];
+}
+
+// Derived indices — each helper takes metric inputs and returns null when an
+// input is missing.
+
+const isNum = (v) => typeof v === 'number' && !isNaN(v);
+
+/** Magnus formula, Alduchov & Eskridge (1996) coefficients. */
+function dewPoint(tempC, rh) {
+  if (!isNum(tempC) || !isNum(rh) || rh <= 0) return null;
+  const gamma = Math.log(rh / 100) + (17.625 * tempC) / (243.04 + tempC);
+  return round((243.04 * gamma) / (17.625 - gamma), 1);
+}
+
+/** NWS heat index (Rothfusz regression); defined from 80°F (26.7°C). */
+function heatIndex(tempC, rh) {
+  if (!isNum(tempC) || !isNum(rh)) return null;
+  const t = tempC * 9 / 5 + 32;
+  if (t < 80) return tempC;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if (hi >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+      - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+      + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    if (rh > 85 && t >= 80 && t <= 87) hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return round((hi - 32) * 5 / 9, 1);
+}
+
+/** Environment Canada / NWS (2001) wind chill; defined for ≤ 10°C and > 4.8 km/h. */
+function windChill(tempC, windKmh) {
+  if (!isNum(tempC) || !isNum(windKmh)) return null;
+  if (tempC > 10 || windKmh <= 4.8) return tempC;
+  const v = windKmh ** 0.16;
+  return round(13.12 + 0.6215 * tempC - 11.37 * v + 0.3965 * tempC * v, 1);
+}
+
+/** Masterton & Richardson (1979) humidex, from the dew point. */
+function humidex(tempC, dewPointC) {
+  if (!isNum(tempC) || !isNum(dewPointC)) return null;
+  const e = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + dewPointC)));
+  return round(tempC + 0.5555 * (e - 10), 1);
+}
+
+/** Australian Bureau of Meteorology WBGT approximation (shade, light wind). */
+function wbgtEstimate(tempC, rh) {
+  if (!isNum(tempC) || !isNum(rh)) return null;
+  const vapourPressure = (rh / 100) * 6.105 * Math.exp((17.27 * tempC) / (237.7 + tempC));
+  return round(0.567 * tempC + 0.393 * vapourPressure + 3.94, 1);
+}
+
+const FROST_LEVELS = ['none', 'low', 'moderate', 'high'];
+
+/**
+ * Frost risk from the forecast low; clear (< 30% cloud), calm (< 10 km/h)
+ * conditions favour radiative frost and raise the risk one level.
+ */
+function frostRisk(lowC, cloudPercent, windKmh) {
+  if (!isNum(lowC)) return null;
+  let level = lowC <= 0 ? 3 : lowC <= 2 ? 2 : lowC <= 4 ? 1 : 0;
+  if (level > 0 && isNum(cloudPercent) && cloudPercent < 30 && isNum(windKmh) && windKmh < 10) {
+    level = Math.min(level + 1, 3);
+  }
+  return FROST_LEVELS[level];
+}
+
+const ACTIVITY_FACTOR_SCORES = {
+  air_quality: { good: 100, moderate: 80, unhealthy_sensitive: 50, unhealthy: 25, very_unhealthy: 10, hazardous: 0 },
+  uv: { low: 100, moderate: 85, high: 60, very_high: 35, extreme: 15 }
+};
+
+const ACTIVITY_LEVELS = ['excellent', 'good', 'fair', 'poor', 'very_poor'];
+
+/**
+ * Outdoor-activity score: each factor is scored 0–100 and the overall score
+ * is the lowest of them, so `limiting_factor` is what to worry about.
+ * Missing factors are left out; with none available score and level are null.
+ */
+function outdoorActivity(aqi, uvi, precipitationProbability, windKmh) {
+  const factors = {
+    air_quality: aqi == null ? null : ACTIVITY_FACTOR_SCORES.air_quality[aqiLevel(aqi).level],
+    uv: uvi == null ? null : ACTIVITY_FACTOR_SCORES.uv[uvLevel(uvi).level],
+    precipitation: isNum(precipitationProbability) ? Math.round(100 - precipitationProbability) : null,
+    // Full marks up to 15 km/h, nothing left at 65 km/h (near gale)
+    wind: isNum(windKmh) ? Math.round(Math.max(0, Math.min(100, 100 - (windKmh - 15) * 2))) : null
+  };
+
+  let limiting = null;
+  for (const [name, score] of Object.entries(factors)) {
+    if (score != null && (limiting === null || score < factors[limiting])) limiting = name;
+  }
+  const score = limiting === null ? null : factors[limiting];
+  return {
+    score,
+    level: score == null ? null : ACTIVITY_LEVELS[score >= 80 ? 0 : score >= 60 ? 1 : score >= 40 ? 2 : score >= 20 ? 3 : 4],
+    limiting_factor: limiting,
+    factors
+  };
+}
+
+/**
+ * The `derived` block of a scan: comfort and health indices computed from
+ * the current readings. Every entry names its formula.
+ */
+function modelDerived({ tempC, rh, windKmh, lowC, cloudPercent, aqi, uvi, precipitationProbability }) {
+  const dewPointC = dewPoint(tempC, rh);
+  return {
+    dew_point: {
+      value_c: dewPointC,
+      formula: 'Magnus formula (Alduchov & Eskridge 1996: a = 17.625, b = 243.04 °C)'
+    },
+    heat_index: {
+      value_c: heatIndex(tempC, rh),
+      formula: 'NWS heat index (Rothfusz regression with low/high humidity adjustments); equals air temperature below 26.7 °C'
+    },
+    wind_chill: {
+      value_c: windChill(tempC, windKmh),
+      formula: 'Environment Canada / NWS 2001 wind chill; equals air temperature above 10 °C or at 4.8 km/h wind or less'
+    },
+    humidex: {
+      value_c: humidex(tempC, dewPointC),
+      formula: 'Masterton & Richardson 1979 humidex from dew point'
+    },
+    wbgt_estimate: {
+      value_c: wbgtEstimate(tempC, rh),
+      formula: 'BoM approximation 0.567·T + 0.393·e + 3.94 (shade, light wind; e = vapour pressure in hPa)'
+    },
+    frost_risk: {
+      level: frostRisk(lowC, cloudPercent, windKmh),
+      formula: 'Forecast low ≤ 0 °C high, ≤ 2 °C moderate, ≤ 4 °C low; one level higher under clear (< 30% cloud), calm (< 10 km/h) skies'
+    },
+    outdoor_activity: {
+      ...outdoorActivity(aqi, uvi, precipitationProbability, windKmh),
+      formula: 'Lowest of the factor scores (0–100): air quality and UV by level, 100 − precipitation probability, wind 100 at ≤ 15 km/h down to 0 at 65 km/h'
+    }
+  };
+}
+
+function modelLocation(location) {
+  return {
+    city: location.city,
+    region: location.region,
+    country: location.country,
+    countryCode: location.countryCode,
+    coordinates: { lat: location.lat, lon: location.lon }
+  };
+}
+
+/**
+ * Build the `meta` block shared by every location-based response.
+ */
+function modelMeta(location, weather) {
+  return {
+    source: 'ambiant-scan',
+    version: '1.0.0',
+    timestamp: new Date().toISOString(),
+    location: modelLocation(location),
+    timezone: weather?.timezone || null,
+    elevation_m: weather?.elevation || null
+  };
+}
+
+/**
+ * Compose the full environmental scan result from raw API responses.
+ */
+function modelEnvironmentalData(location, weather, airQuality) {
+  const w = weather?.current || {};
+  const wUnits = weather?.current_units || {};
+  const d = weather?.daily || {};
+  const aq = airQuality?.current || {};
+  const aqUnits = airQuality?.current_units || {};
+
+  const uvIndex = aq.uv_index ?? null;
+  const uvClearSky = aq.uv_index_clear_sky ?? null;
+  const uvMax = d.uv_index_max?.[0] ?? uvIndex;
+  const { subIndices, dominant } = epaSubIndices(aq);
+
+  return {
+    meta: modelMeta(location, weather),
+
+    temperature: {
+      current_c: w.temperature_2m ?? null,
+      feels_like_c: w.apparent_temperature ?? null,
+      daily_high_c: d.temperature_2m_max?.[0] ?? null,
+      daily_low_c: d.temperature_2m_min?.[0] ?? null,
+      unit: wUnits.temperature_2m || '°C'
+    },
+
+    air_quality: {
+      us_aqi: aq.us_aqi ?? null,
+      ...aqiLevel(aq.us_aqi),
+      dominant_pollutant: dominant,
+      european_aqi: {
+        value: aq.european_aqi ?? null,
+        level: europeanAqiLevel(aq.european_aqi)
+      },
+      pollutants: {
+        pm2_5: { value: aq.pm2_5 ?? null, unit: aqUnits.pm2_5 || 'μg/m³', ...subIndices.pm2_5 },
+        pm10: { value: aq.pm10 ?? null, unit: aqUnits.pm10 || 'μg/m³', ...subIndices.pm10 },
+        nitrogen_dioxide: { value: aq.nitrogen_dioxide ?? null, unit: aqUnits.nitrogen_dioxide || 'μg/m³', ...subIndices.nitrogen_dioxide },
+        ozone: { value: aq.ozone ?? null, unit: aqUnits.ozone || 'μg/m³', ...subIndices.ozone },
+        sulphur_dioxide: { value: aq.sulphur_dioxide ?? null, unit: aqUnits.sulphur_dioxide || 'μg/m³', ...subIndices.sulphur_dioxide },
+        carbon_monoxide: { value: aq.carbon_monoxide ?? null, unit: aqUnits.carbon_monoxide || 'μg/m³', ...subIndices.carbon_monoxide },
+        dust: { value: aq.dust ?? null, unit: aqUnits.dust || 'μg/m³' }
+      },
+      pollen: Object.fromEntries(Object.entries(POLLEN_TYPES).map(([type, thresholds]) => {
+        const grains = aq[`${type}_pollen`] ?? null;
+        return [type, { value: grains, unit: aqUnits[`${type}_pollen`] || 'grains/m³', level: pollenLevel(grains, thresholds) }];
+      }))
+    },
+
+    uv_index: {
+      current: uvIndex,
+      clear_sky: uvClearSky,
+      daily_max: uvMax,
+      ...uvLevel(uvIndex)
+    },
+
+    humidity: {
+      relative_percent: w.relative_humidity_2m ?? null
+    },
+
+    wind: {
+      speed_kmh: w.wind_speed_10m ?? null,
+      gusts_kmh: w.wind_gusts_10m ?? null,
+      direction_degrees: w.wind_direction_10m ?? null,
+      direction_label: windDirectionLabel(w.wind_direction_10m),
+      description: windDescription(w.wind_speed_10m),
+      daily_max_kmh: d.wind_speed_10m_max?.[0] ?? null
+    },
+
+    atmosphere: {
+      pressure_msl_hpa: w.pressure_msl ?? null,
+      surface_pressure_hpa: w.surface_pressure ?? null,
+      cloud_cover_percent: w.cloud_cover ?? null
+    },
+
+    precipitation: {
+      current_mm: w.precipitation ?? null,
+      rain_mm: w.rain ?? null,
+      daily_sum_mm: d.precipitation_sum?.[0] ?? null,
+      daily_probability_percent: d.precipitation_probability_max?.[0] ?? null
+    },
+
+    conditions: {
+      weather_code: w.weather_code ?? null,
+      description: WEATHER_CODES[w.weather_code] || 'Unknown',
+      is_day: w.is_day === 1
+    },
+
+    sun: {
+      sunrise: d.sunrise?.[0] || null,
+      sunset: d.sunset?.[0] || null
+    },
+
+    derived: modelDerived({
+      tempC: w.temperature_2m ?? null,
+      rh: w.relative_humidity_2m ?? null,
+      windKmh: w.wind_speed_10m ?? null,
+      lowC: d.temperature_2m_min?.[0] ?? null,
+      cloudPercent: w.cloud_cover ?? null,
+      aqi: aq.us_aqi ?? null,
+      uvi: uvIndex,
+      precipitationProbability: d.precipitation_probability_max?.[0] ?? null
+    })
+  };
+}
+
+function maxOf(values) {
+  const nums = values.filter(v => v != null);
+  return nums.length ? Math.max(...nums) : null;
+}
+
+/**
+ * Reduce an hourly series to one max value per local date (YYYY-MM-DD).
+ * Open-Meteo returns local times when `timezone=auto`, so the date prefix
+ * lines up with the daily series of the same location.
+ */
+function dailyMaxFromHourly(hourly, field) {
+  const buckets = {};
+  const times = hourly?.time || [];
+  const values = hourly?.[field] || [];
+  times.forEach((time, i) => {
+    const date = time.slice(0, 10);
+    (buckets[date] = buckets[date] || []).push(values[i]);
+  });
+  const result = {};
+  for (const date of Object.keys(buckets)) result[date] = maxOf(buckets[date]);
+  return result;
+}
+
+/**
+ * Normalize Open-Meteo daily aggregates into per-day blocks that mirror the
+ * `/scan` shape. Daily AQI is the peak of the hourly air quality series; UV
+ * falls back to the hourly air quality peak when the weather model has none.
+ */
+function modelDailySeries(weather, airQuality) {
+  const d = weather?.daily || {};
+  const dUnits = weather?.daily_units || {};
+  const aqiByDate = dailyMaxFromHourly(airQuality?.hourly, 'us_aqi');
+  const uvByDate = dailyMaxFromHourly(airQuality?.hourly, 'uv_index');
+  const dates = d.time || Object.keys(aqiByDate);
+
+  return dates.map((date, i) => {
+    const aqi = aqiByDate[date] ?? null;
+    const uvMax = d.uv_index_max?.[i] ?? uvByDate[date] ?? null;
+    const windMax = d.wind_speed_10m_max?.[i] ?? null;
+    const windDir = d.wind_direction_10m_dominant?.[i] ?? null;
+    const code = d.weather_code?.[i] ?? null;
+
+    return {
+      date,
+      temperature: {
+        daily_high_c: d.temperature_2m_max?.[i] ?? null,
+        daily_low_c: d.temperature_2m_min?.[i] ?? null,
+        feels_like_high_c: d.apparent_temperature_max?.[i] ?? null,
+        feels_like_low_c: d.apparent_temperature_min?.[i] ?? null,
+        unit: dUnits.temperature_2m_max || '°C'
+      },
+      air_quality: {
+        us_aqi: aqi,
+        ...aqiLevel(aqi)
+      },
+      uv_index: {
+        daily_max: uvMax,
+        ...uvLevel(uvMax)
+      },
+      wind: {
+        daily_max_kmh: windMax,
+        gusts_kmh: d.wind_gusts_10m_max?.[i] ?? null,
+        direction_degrees: windDir,
+        direction_label: windDirectionLabel(windDir),
+        description: windDescription(windMax)
+      },
+      precipitation: {
+        daily_sum_mm: d.precipitation_sum?.[i] ?? null,
+        daily_probability_percent: d.precipitation_probability_max?.[i] ?? null
+      },
+      conditions: {
+        weather_code: code,
+        description: WEATHER_CODES[code] || 'Unknown'
+      },
+      sun: {
+        sunrise: d.sunrise?.[i] || null,
+        sunset: d.sunset?.[i] || null
+      }
+    };
+  });
+}
+
+/**
+ * Normalize Open-Meteo hourly series into per-hour blocks that mirror the
+ * `/scan` shape. Air quality hours are matched by timestamp since the two
+ * APIs cover different horizons.
+ */
+function modelHourlySeries(weather, airQuality) {
+  const h = weather?.hourly || {};
+  const hUnits = weather?.hourly_units || {};
+  const aqh = airQuality?.hourly || {};
+  const aqUnits = airQuality?.hourly_units || {};
+  const aqIndex = new Map((aqh.time || []).map((time, i) => [time, i]));
+  const times = h.time || aqh.time || [];
+
+  return times.map((time, i) => {
+    const j = aqIndex.get(time);
+    const aqi = j != null ? aqh.us_aqi?.[j] ?? null : null;
+    const uv = h.uv_index?.[i] ?? (j != null ? aqh.uv_index?.[j] ?? null : null);
+    const windSpeed = h.wind_speed_10m?.[i] ?? null;
+    const windDir = h.wind_direction_10m?.[i] ?? null;
+    const code = h.weather_code?.[i] ?? null;
+
+    return {
+      time,
+      temperature: {
+        current_c: h.temperature_2m?.[i] ?? null,
+        feels_like_c: h.apparent_temperature?.[i] ?? null,
+        unit: hUnits.temperature_2m || '°C'
+      },
+      air_quality: {
+        us_aqi: aqi,
+        ...aqiLevel(aqi),
+        pollutants: {
+          pm2_5: { value: j != null ? aqh.pm2_5?.[j] ?? null : null, unit: aqUnits.pm2_5 || 'μg/m³' },
+          pm10: { value: j != null ? aqh.pm10?.[j] ?? null : null, unit: aqUnits.pm10 || 'μg/m³' }
+        }
+      },
+      uv_index: {
+        current: uv,
+        ...uvLevel(uv)
+      },
+      humidity: {
+        relative_percent: h.relative_humidity_2m?.[i] ?? null
+      },
+      wind: {
+        speed_kmh: windSpeed,
+        gusts_kmh: h.wind_gusts_10m?.[i] ?? null,
+        direction_degrees: windDir,
+        direction_label: windDirectionLabel(windDir),
+        description: windDescription(windSpeed)
+      },
+      atmosphere: {
+        cloud_cover_percent: h.cloud_cover?.[i] ?? null
+      },
+      precipitation: {
+        current_mm: h.precipitation?.[i] ?? null,
+        probability_percent: h.precipitation_probability?.[i] ?? null
+      },
+      conditions: {
+        weather_code: code,
+        description: WEATHER_CODES[code] || 'Unknown',
+        is_day: h.is_day?.[i] === 1
+      }
+    };
+  });
+}
+
+/**
+ * Compose a series result (forecast or history): daily series always,
+ * hourly series on request. `extraMeta` is merged into `meta`.
+ */
+function modelSeriesData(location, weather, airQuality, hourly, extraMeta = {}) {
+  const daily = modelDailySeries(weather, airQuality);
+  return {
+    meta: {
+      ...modelMeta(location, weather),
+      ...extraMeta,
+      days: daily.length
+    },
+    daily,
+    ...(hourly ? { hourly: modelHourlySeries(weather, airQuality) } : {})
+  };
+}
+
+// ─── Units & Localization ───────────────────────────────────────────────────
+
+/**
+ * Cached results are always metric and English. Units and language are
+ * applied per response by presentResult(), so one cache entry serves every
+ * combination. Unit conversion is driven by field-name suffixes: a field
+ * like `current_c` becomes `current_f` (imperial) or `current_k` (SI).
+ */
+const UNIT_SYSTEMS = ['metric', 'imperial', 'si'];
+
+// Longest suffixes first (the first match wins), so `_mm` is never read as `_m`
+const UNIT_CONVERSIONS = [
+  ['_kmh', { imperial: ['_mph', v => round(v / 1.609344, 1)], si: ['_ms', v => round(v / 3.6, 1)] }],
+  ['_hpa', { imperial: ['_inhg', v => round(v * 0.02952998, 2)], si: ['_pa', v => Math.round(v * 100)] }],
+  ['_mm', { imperial: ['_in', v => round(v / 25.4, 2)] }],
+  ['_km', { imperial: ['_mi', v => round(v / 1.609344, 2)] }],
+  ['_c', { imperial: ['_f', v => round(v * 9 / 5 + 32, 1)], si: ['_k', v => round(v + 273.15, 2)] }],
+  ['_m', { imperial: ['_ft', v => Math.round(v * 3.28084)] }]
+];
+
+const UNIT_LABELS = {
+  '°C': { imperial: '°F', si: 'K' }
+};
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Translations keyed by the English/machine values the model emits:
+ * weather codes, `level` ids for AQI and UV concerns, English wind
+ * descriptions and compass labels (by index into COMPASS_LABELS).
+ */
+const TRANSLATIONS = {
+  fr: {
+    weather: {
+      0: 'Ciel dégagé', 1: 'Principalement dégagé', 2: 'Partiellement nuageux', 3: 'Couvert',
+      45: 'Brouillard', 48: 'Brouillard givrant',
+      51: 'Bruine légère', 53: 'Bruine modérée', 55: 'Bruine dense',
+      56: 'Bruine verglaçante légère', 57: 'Bruine verglaçante dense',
+      61: 'Pluie faible', 63: 'Pluie modérée', 65: 'Pluie forte',
+      66: 'Pluie verglaçante légère', 67: 'Pluie verglaçante forte',
+      71: 'Neige faible', 73: 'Neige modérée', 75: 'Neige forte',
+      77: 'Neige en grains',
+      80: 'Averses de pluie faibles', 81: 'Averses de pluie modérées', 82: 'Averses de pluie violentes',
+      85: 'Averses de neige faibles', 86: 'Averses de neige fortes',
+      95: 'Orage', 96: 'Orage avec grêle faible', 99: 'Orage avec forte grêle',
+      unknown: 'Inconnu'
+    },
+    aqi: {
+      unknown: 'Aucune donnée disponible',
+      good: 'La qualité de l\'air est satisfaisante',
+      moderate: 'Acceptable ; risque modéré pour les personnes sensibles',
+      unhealthy_sensitive: 'Les groupes sensibles peuvent ressentir des effets sur la santé',
+      unhealthy: 'Tout le monde peut commencer à ressentir des effets sur la santé',
+      very_unhealthy: 'Alerte sanitaire : tout le monde peut subir des effets graves',
+      hazardous: 'Avertissement sanitaire : conditions d\'urgence'
+    },
+    uv: {
+      unknown: 'Aucune donnée disponible',
+      low: 'Aucune protection nécessaire',
+      moderate: 'Recherchez l\'ombre en milieu de journée',
+      high: 'Réduisez l\'exposition au soleil entre 10 h et 16 h',
+      very_high: 'Protection renforcée nécessaire ; évitez de sortir en milieu de journée',
+      extreme: 'Prenez toutes les précautions ; la peau non protégée peut brûler en quelques minutes'
+    },
+    wind: {
+      'unknown': 'inconnu', 'calm': 'calme', 'light air': 'très légère brise', 'light breeze': 'légère brise',
+      'gentle breeze': 'petite brise', 'moderate breeze': 'jolie brise', 'fresh breeze': 'bonne brise',
+      'strong breeze': 'vent frais', 'high wind': 'grand frais', 'gale': 'coup de vent',
+      'strong gale': 'fort coup de vent', 'storm': 'tempête', 'violent storm': 'violente tempête',
+      'hurricane': 'ouragan'
+    },
+    compass: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+              'S', 'SSO', 'SO', 'OSO', 'O', 'ONO', 'NO', 'NNO']
+  },
+  es: {
+    weather: {
+      0: 'Cielo despejado', 1: 'Mayormente despejado', 2: 'Parcialmente nublado', 3: 'Cubierto',
+      45: 'Niebla', 48: 'Niebla con escarcha',
+      51: 'Llovizna ligera', 53: 'Llovizna moderada', 55: 'Llovizna densa',
+      56: 'Llovizna helada ligera', 57: 'Llovizna helada densa',
+      61: 'Lluvia ligera', 63: 'Lluvia moderada', 65: 'Lluvia intensa',
+      66: 'Lluvia helada ligera', 67: 'Lluvia helada intensa',
+      71: 'Nevada ligera', 73: 'Nevada moderada', 75: 'Nevada intensa',
+      77: 'Granos de nieve',
+      80: 'Chubascos ligeros', 81: 'Chubascos moderados', 82: 'Chubascos violentos',
+      85: 'Chubascos de nieve ligeros', 86: 'Chubascos de nieve intensos',
+      95: 'Tormenta', 96: 'Tormenta con granizo ligero', 99: 'Tormenta con granizo fuerte',
+      unknown: 'Desconocido'
+    },
+    aqi: {
+      unknown: 'No hay datos disponibles',
+      good: 'La calidad del aire es satisfactoria',
+      moderate: 'Aceptable; riesgo moderado para personas sensibles',
+      unhealthy_sensitive: 'Los grupos sensibles pueden sufrir efectos en la salud',
+      unhealthy: 'Todas las personas pueden empezar a sufrir efectos en la salud',
+      very_unhealthy: 'Alerta sanitaria: todas las personas pueden sufrir efectos graves',
+      hazardous: 'Advertencia sanitaria de condiciones de emergencia'
+    },
+    uv: {
+      unknown: 'No hay datos disponibles',
+      low: 'No se necesita protección',
+      moderate: 'Busque la sombra al mediodía',
+      high: 'Reduzca la exposición al sol entre las 10 y las 16 h',
+      very_high: 'Se necesita protección extra; evite estar al aire libre al mediodía',
+      extreme: 'Tome todas las precauciones; la piel desprotegida puede quemarse en minutos'
+    },
+    wind: {
+      'unknown': 'desconocido', 'calm': 'calma', 'light air': 'ventolina', 'light breeze': 'brisa muy débil',
+      'gentle breeze': 'brisa débil', 'moderate breeze': 'brisa moderada', 'fresh breeze': 'brisa fresca',
+      'strong breeze': 'brisa fuerte', 'high wind': 'viento fuerte', 'gale': 'temporal',
+      'strong gale': 'temporal fuerte', 'storm': 'temporal duro', 'violent storm': 'borrasca',
+      'hurricane': 'huracán'
+    },
+    compass: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+              'S', 'SSO', 'SO', 'OSO', 'O', 'ONO', 'NO', 'NNO']
+  },
+  de: {
+    weather: {
+      0: 'Klarer Himmel', 1: 'Überwiegend klar', 2: 'Teilweise bewölkt', 3: 'Bedeckt',
+      45: 'Nebel', 48: 'Nebel mit Reifansatz',
+      51: 'Leichter Nieselregen', 53: 'Mäßiger Nieselregen', 55: 'Starker Nieselregen',
+      56: 'Leichter gefrierender Nieselregen', 57: 'Starker gefrierender Nieselregen',
+      61: 'Leichter Regen', 63: 'Mäßiger Regen', 65: 'Starker Regen',
+      66: 'Leichter gefrierender Regen', 67: 'Starker gefrierender Regen',
+      71: 'Leichter Schneefall', 73: 'Mäßiger Schneefall', 75: 'Starker Schneefall',
+      77: 'Schneegriesel',
+      80: 'Leichte Regenschauer', 81: 'Mäßige Regenschauer', 82: 'Heftige Regenschauer',
+      85: 'Leichte Schneeschauer', 86: 'Starke Schneeschauer',
+      95: 'Gewitter', 96: 'Gewitter mit leichtem Hagel', 99: 'Gewitter mit starkem Hagel',
+      unknown: 'Unbekannt'
+    },
+    aqi: {
+      unknown: 'Keine Daten verfügbar',
+      good: 'Die Luftqualität ist zufriedenstellend',
+      moderate: 'Akzeptabel; mäßiges Risiko für empfindliche Personen',
+      unhealthy_sensitive: 'Empfindliche Gruppen können gesundheitliche Auswirkungen spüren',
+      unhealthy: 'Alle Menschen können gesundheitliche Auswirkungen spüren',
+      very_unhealthy: 'Gesundheitswarnung: Alle können ernsthafte Auswirkungen erleiden',
+      hazardous: 'Gesundheitswarnung: Notfallbedingungen'
+    },
+    uv: {
+      unknown: 'Keine Daten verfügbar',
+      low: 'Kein Schutz erforderlich',
+      moderate: 'Mittags Schatten suchen',
+      high: 'Sonne zwischen 10 und 16 Uhr meiden',
+      very_high: 'Zusätzlicher Schutz nötig; mittags möglichst nicht draußen aufhalten',
+      extreme: 'Alle Vorsichtsmaßnahmen treffen; ungeschützte Haut kann in Minuten verbrennen'
+    },
+    wind: {
+      'unknown': 'unbekannt', 'calm': 'Windstille', 'light air': 'leiser Zug', 'light breeze': 'leichte Brise',
+      'gentle breeze': 'schwache Brise', 'moderate breeze': 'mäßige Brise', 'fresh breeze': 'frische Brise',
+      'strong breeze': 'starker Wind', 'high wind': 'steifer Wind', 'gale': 'stürmischer Wind',
+      'strong gale': 'Sturm', 'storm': 'schwerer Sturm', 'violent storm': 'orkanartiger Sturm',
+      'hurricane': 'Orkan'
+    },
+    compass: ['N', 'NNO', 'NO', 'ONO', 'O', 'OSO', 'SO', 'SSO',
+              'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+  }
+};
+
+const LANGUAGES = ['en', ...Object.keys(TRANSLATIONS)];
+
+/**
+ * Validate `?units=` and `?lang=` query parameters.
+ */
+function parsePresentation(query) {
+  const units = (query.units || 'metric').toLowerCase();
+  const lang = (query.lang || 'en').toLowerCase();
+
+  if (!UNIT_SYSTEMS.includes(units)) {
+    throw new HttpError(400, `Invalid units. Must be one of: ${UNIT_SYSTEMS.join(', ')}`);
+  }
+  if (!LANGUAGES.includes(lang)) {
+    throw new HttpError(400, `Unsupported lang. Must be one of: ${LANGUAGES.join(', ')}`);
+  }
+  return { units, lang };
+}
+
+function convertField(key, value, units) {
+  if (units === 'metric') return [key, value];
+  for (const [suffix, systems] of UNIT_CONVERSIONS) {
+    if (!key.endsWith(suffix)) continue;
+    const conversion = systems[units];
+    if (!conversion) return [key, value];
+    const [newSuffix, convert] = conversion;
+    return [key.slice(0, -suffix.length) + newSuffix, typeof value === 'number' ? convert(value) : value];
+  }
+  return [key, value];
+}
+
+function translateBlock(block, parentKey, t) {
+  if ('weather_code' in block && 'description' in block) {
+    block.description = t.weather[block.weather_code] || t.weather.unknown;
+  }
+  if (parentKey === 'air_quality' && block.level) {
+    block.concern = t.aqi[block.level] || block.concern;
+  }
+  if (parentKey === 'uv_index' && block.level) {
+    block.concern = t.uv[block.level] || block.concern;
+  }
+  if (parentKey === 'wind' && typeof block.description === 'string') {
+    block.description = t.wind[block.description] || block.description;
+  }
+  if (typeof block.direction_label === 'string') {
+    const i = COMPASS_LABELS.indexOf(block.direction_label);
+    if (i >= 0) block.direction_label = t.compass[i];
+  }
+}
+
+function presentValue(value, parentKey, units, t) {
+  if (Array.isArray(value)) return value.map(item => presentValue(item, parentKey, units, t));
+  if (!value || typeof value !== 'object') return value;
+
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'unit' && UNIT_LABELS[child]?.[units]) {
+      out.unit = UNIT_LABELS[child][units];
+      continue;
+    }
+    const [newKey, converted] = convertField(key, child, units);
+    out[newKey] = presentValue(converted, key, units, t);
+  }
+  if (t) translateBlock(out, parentKey, t);
+  return out;
+}
+
+/**
+ * Render a cached (metric, English) result in the requested unit system and
+ * language. Always returns a new object; the cached entry is left untouched.
+ */
+function presentResult(result, { units = 'metric', lang = 'en' } = {}) {
+  const out = units === 'metric' && lang === 'en'
+    ? { ...result }
+    : presentValue(result, null, units, TRANSLATIONS[lang]);
+  out.meta = { ...out.meta, units, lang };
+  return out;
+}
+
+// ─── Core Scan Logic ────────────────────────────────────────────────────────
+
+/**
+ * Which provider served each part of a response: `location` for
+ * meta.location, `air_quality` for the air quality and current UV readings,
+ * `weather` for everything else. null means that source was unavailable.
+ */
+function providersMeta(location, weather, airQuality) {
+  return {
+    location: location.provider || null,
+    weather: weather?.provider || null,
+    air_quality: airQuality?.provider || null
+  };
+}
+
+/**
+ * Per-response copy of a cached result. Cached entries are shared between
+ * concurrent requests, so `meta` fields like `_cached` or `_responseTime_ms`
+ * must never be written onto the cached object itself.
+ */
+function responseCopy(result, metaFields) {
+  return { ...result, meta: { ...result.meta, ...metaFields } };
+}
+
+/**
+ * Serve `key` from `cache`, falling back to `load` (which must populate the
+ * cache itself). Fresh hits return immediately; entries inside the stale
+ * grace window are returned with `_stale: true` while `load` refreshes them
+ * in the background; misses await `load`. Concurrent loads are coalesced.
+ */
+async function serveCached(cache, key, load) {
+  const cached = cache.get(key);
+  if (cached) return responseCopy(cached, { _cached: true });
+
+  const stale = cache.getStale(key);
+  if (stale) {
+    cache.coalesce(key, load).catch(err => {
+      logger.warn('Background refresh failed', { cache: cache.name, key, error: err.message });
+    });
+    return responseCopy(stale, { _cached: true, _stale: true });
+  }
+
+  const fresh = await cache.coalesce(key, load);
+  return responseCopy(fresh, { _cached: false });
+}
+
+/**
+ * Catch handler for graceful degradation: a failed source becomes null and
+ * the response carries what the other one returned. A missing replay
+ * fixture still fails the request (see replayFixture).
+ */
+function degradeSource(source, fields = {}) {
+  return (err) => {
+    if (err.fixtureMissing) throw err;
+    logger.warn('Upstream fetch failed', { source, ...fields, error: err.message });
+    return null;
+  };
+}
+
+async function performScan(lat, lon, location) {
+  const cacheKey = coordsKey(lat, lon);
+
+  const result = await serveCached(dataCache, cacheKey, async () => {
+    // Fetch both in parallel
+    const [weather, airQuality] = await Promise.all([
+      fetchWeather(lat, lon).catch(degradeSource('weather')),
+      fetchAirQuality(lat, lon).catch(degradeSource('air_quality'))
+    ]);
+
+    if (!weather && !airQuality) {
+      throw new Error('All environmental data sources are unavailable');
+    }
+
+    const result = modelEnvironmentalData(location, weather?.data, airQuality?.data);
+    result.meta.providers = providersMeta(location, weather, airQuality);
+
+    // Cache it
+    dataCache.set(cacheKey, result);
+
+    return result;
+  });
+  Object.assign(result.meta, placeMeta(result, lat, lon, location));
+  return result;
+}
+
+/**
+ * `meta` fields naming `location` on a scan of its cell. A cached scan is
+ * shared by every place in the cell, so each copy sent out is relabelled.
+ */
+function placeMeta(scan, lat, lon, location) {
+  return {
+    location: modelLocation({ lat, lon, ...location }),
+    providers: { ...scan.meta.providers, location: location.provider || null }
+  };
+}
+
+/**
+ * Map over `items` with at most `limit` calls to `fn` in flight.
+ * Results keep input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Scan many locations in one go. Items that snap to the same grid cell share
+ * a single scan, and each unique cell goes through performScan (so dataCache
+ * hits are served directly) with at most BATCH_CONCURRENCY in flight.
+ * Returns one `{ index, ok, data | error }` per input item, in input order.
+ */
+async function performBatchScan(items) {
+  // Phase 1: resolve every item to a grid cell (city names hit cityResolveCache)
+  const resolved = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item) => {
+    if (item && (item.place != null || (typeof item.city === 'string' && item.city.trim()))) {
+      try {
+        const location = item.place != null
+          ? await lookupPlace(parsePlaceId(item.place))
+          : await forwardGeocode(item.city, parseCountryCode(item.country));
+        return { key: coordsKey(location.lat, location.lon), lat: location.lat, lon: location.lon, location };
+      } catch (err) {
+        return { error: { status: err.statusCode || 404, message: err.message } };
+      }
+    }
+    if (item && item.lat != null && item.lon != null) {
+      try {
+        const { lat, lon } = parseCoords(item.lat, item.lon);
+        return { key: coordsKey(lat, lon), lat, lon, location: null };
+      } catch (err) {
+        return { error: { status: err.statusCode || 400, message: err.message } };
+      }
+    }
+    return { error: { status: 400, message: 'Each item must be {"lat":XX,"lon":YY}, {"city":"NAME"} or {"place":"geonames:ID"}' } };
+  });
+
+  // Phase 2: one scan per unique grid cell
+  const cells = new Map();
+  for (const r of resolved) {
+    if (r.error) continue;
+    const cell = cells.get(r.key);
+    if (!cell) cells.set(r.key, { lat: r.lat, lon: r.lon, location: r.location });
+    else if (!cell.location && r.location) cell.location = r.location;
+  }
+
+  const scans = new Map();
+  await mapWithConcurrency([...cells], BATCH_CONCURRENCY, async ([key, cell]) => {
+    try {
+      const location = cell.location || await reverseGeocode(cell.lat, cell.lon);
+      const data = await performScan(cell.lat, cell.lon, location);
+      scans.set(key, { ok: true, cached: data.meta._cached, data });
+    } catch (err) {
+      scans.set(key, { ok: false, error: { status: 502, message: err.message } });
+    }
+  });
+
+  return {
+    uniqueLocations: cells.size,
+    results: resolved.map((r, index) => {
+      if (r.error) return { index, ok: false, error: r.error };
+      const { cached, ...scan } = scans.get(r.key);
+      return { index, ...scan };
+    }),
+    cachedLocations: [...scans.values()].filter(scan => scan.cached).length
+  };
+}
+
+/**
+ * The slice of a scan reported per route segment. Keys keep the model's unit
+ * suffixes so presentResult converts them like any other response.
+ */
+function routeConditions(scan) {
+  return {
+    temperature_c: scan.temperature.current_c,
+    feels_like_c: scan.temperature.feels_like_c,
+    weather_code: scan.conditions.weather_code,
+    description: scan.conditions.description,
+    us_aqi: scan.air_quality.us_aqi,
+    aqi_level: scan.air_quality.level,
+    uv_index: scan.uv_index.current,
+    wind_speed_kmh: scan.wind.speed_kmh,
+    wind_gusts_kmh: scan.wind.gusts_kmh,
+    precipitation_mm: scan.precipitation.current_mm,
+    daily_precipitation_mm: scan.precipitation.daily_sum_mm,
+    precipitation_probability_percent: scan.precipitation.daily_probability_percent
+  };
+}
+
+/**
+ * Segment with the highest `pick(conditions)`, reported with its value
+ * under `field` and where along the route it happens. null without data.
+ */
+function routePeak(segments, field, pick) {
+  let peak = null;
+  for (const segment of segments) {
+    const value = segment.ok ? pick(segment.conditions) : null;
+    if (value == null || (peak && value <= peak.value)) continue;
+    peak = { value, segment };
+  }
+  if (!peak) return null;
+  const { segment } = peak;
+  return { [field]: peak.value, at_km: segment.distance_km, location: segment.location };
+}
+
+/**
+ * Scan conditions along a route. Samples every `spacingKm` share grid cells
+ * (and so the data cache) with every other endpoint; each unique cell is
+ * scanned once with at most BATCH_CONCURRENCY in flight. Only both ends are
+ * reverse geocoded; cells in between are named from geoCache when an earlier
+ * lookup left them there, and by their coordinates otherwise. A segment is the
+ * stretch of route closest to its sample, from the midpoint with the previous
+ * sample to the midpoint with the next one.
+ */
+async function performRouteScan(points, spacingKm) {
+  const { samples, totalKm } = sampleRoute(points, spacingKm);
+  if (samples.length > MAX_ROUTE_SAMPLES) {
+    throw new HttpError(400, `Route needs ${samples.length} samples at ${spacingKm} km spacing (max ${MAX_ROUTE_SAMPLES})`, {
+      distance_km: round(totalKm, 1),
+      min_spacing_km: Math.ceil(totalKm / (MAX_ROUTE_SAMPLES - 1))
+    });
+  }
+
+  const cells = new Map(samples.map(sample => [sample.key, sample]));
+  const ends = new Set([samples[0].key, samples[samples.length - 1].key]);
+  const scans = new Map();
+  await mapWithConcurrency([...cells.values()], BATCH_CONCURRENCY, async (cell) => {
+    try {
+      const location = ends.has(cell.key)
+        ? await reverseGeocode(cell.lat, cell.lon)
+        : geoCache.get(cell.key) || { lat: cell.lat, lon: cell.lon };
+      scans.set(cell.key, { ok: true, data: await performScan(cell.lat, cell.lon, location) });
+    } catch (err) {
+      scans.set(cell.key, { ok: false, error: { status: 502, message: err.message } });
+    }
+  });
+
+  const segments = samples.map((sample, i) => {
+    const scan = scans.get(sample.key);
+    const location = scan.ok ? scan.data.meta.location : { coordinates: { lat: sample.lat, lon: sample.lon } };
+    const segment = {
+      index: i,
+      distance_km: round(sample.distanceKm, 2),
+      from_km: i === 0 ? 0 : round((samples[i - 1].distanceKm + sample.distanceKm) / 2, 2),
+      to_km: i === samples.length - 1 ? round(totalKm, 2) : round((sample.distanceKm + samples[i + 1].distanceKm) / 2, 2),
+      location,
+      ok: scan.ok
+    };
+    return scan.ok ? { ...segment, conditions: routeConditions(scan.data) } : { ...segment, error: scan.error };
+  });
+
+  const worstAqi = routePeak(segments, 'us_aqi', c => c.us_aqi);
+  const precipitation = segments.filter(s => s.ok && s.conditions.daily_precipitation_mm != null);
+  // A zero-length route has zero-length segments: weigh them equally then
+  const weight = s => totalKm > 0 ? s.to_km - s.from_km : 1;
+  const precipitationKm = precipitation.reduce((sum, s) => sum + weight(s), 0);
+
+  return {
+    meta: {
+      source: 'ambiant-scan',
+      version: '1.0.0',
+      timestamp: new Date().toISOString(),
+      spacing_km: spacingKm,
+      samples: samples.length,
+      unique_locations: cells.size,
+      cached_locations: [...scans.values()].filter(scan => scan.ok && scan.data.meta._cached).length,
+      errors: segments.filter(s => !s.ok).length
+    },
+    summary: {
+      distance_km: round(totalKm, 2),
+      worst_aqi: worstAqi && { ...worstAqi, level: aqiLevel(worstAqi.us_aqi).level },
+      max_uv: routePeak(segments, 'uv_index', c => c.uv_index),
+      max_gusts: routePeak(segments, 'gusts_kmh', c => c.wind_gusts_kmh),
+      precipitation: {
+        // Today's expected precipitation along the route, each segment
+        // weighted by the length of route it covers
+        mean_daily_mm: precipitationKm > 0
+          ? round(precipitation.reduce((sum, s) => sum + s.conditions.daily_precipitation_mm * weight(s), 0) / precipitationKm, 1)
+          : null,
+        max_probability_percent: maxOf(segments.map(s => s.ok ? s.conditions.precipitation_probability_percent : null)),
+        wettest: routePeak(segments, 'daily_sum_mm', c => c.daily_precipitation_mm)
+      }
+    },
+    segments
+  };
+}
+
+/**
+ * Scan every cell of an area grid, keeping only `fields`. Cells already in
+ * the data cache are read from it; the rest are fetched AREA_CHUNK_SIZE at a
+ * time with Open-Meteo's multi-coordinate requests, i.e. one weather and one
+ * air quality call per chunk, and each fetched cell is cached in dataCache
+ * like a /scan of it. The finished grid goes to areaCache, keyed by its
+ * extent, step and fields.
+ */
+async function performAreaScan(grid, fields) {
+  const { lats, lons, step } = grid;
+  const cacheKey = `area|${lons[0]},${lats[0]},${lons[lons.length - 1]},${lats[lats.length - 1]}|${step}|${fields.join(',')}`;
+
+  return serveCached(areaCache, cacheKey, async () => {
+    const scans = new Map();
+    const missing = [];
+    for (const lat of lats) {
+      for (const lon of lons) {
+        const key = coordsKey(lat, lon);
+        const cached = dataCache.get(key);
+        if (cached) scans.set(key, cached);
+        else missing.push({ lat, lon, key });
+      }
+    }
+
+    const chunks = [];
+    for (let i = 0; i < missing.length; i += AREA_CHUNK_SIZE) chunks.push(missing.slice(i, i + AREA_CHUNK_SIZE));
+    const providers = { weather: null, air_quality: null };
+    // A single-coordinate request answers with an object, not a list
+    const list = data => Array.isArray(data) ? data : [data];
+
+    await mapWithConcurrency(chunks, BATCH_CONCURRENCY, async (chunk) => {
+      const chunkLats = chunk.map(cell => cell.lat).join(',');
+      const chunkLons = chunk.map(cell => cell.lon).join(',');
+      const [weather, airQuality] = await Promise.all([
+        fetchWeather(chunkLats, chunkLons).catch(degradeSource('weather', { area: true })),
+        fetchAirQuality(chunkLats, chunkLons).catch(degradeSource('air_quality', { area: true }))
+      ]);
+      providers.weather = providers.weather || weather?.provider || null;
+      providers.air_quality = providers.air_quality || airQuality?.provider || null;
+
+      chunk.forEach((cell, i) => {
+        const w = weather && list(weather.data)[i];
+        const aq = airQuality && list(airQuality.data)[i];
+        if (!w && !aq) return;
+        const location = { lat: cell.lat, lon: cell.lon };
+        const scan = modelEnvironmentalData(location, w, aq);
+        scan.meta.providers = providersMeta(location, w && weather, aq && airQuality);
+        dataCache.set(cell.key, scan);
+        scans.set(cell.key, scan);
+      });
+    });
+
+    const cells = lats.length * lons.length;
+    if (scans.size === 0) {
+      throw new Error('All environmental data sources are unavailable');
+    }
+
+    const result = {
+      meta: {
+        source: 'ambiant-scan',
+        version: '1.0.0',
+        timestamp: new Date().toISOString(),
+        cells,
+        cached_cells: cells - missing.length,
+        missing_cells: cells - scans.size,
+        upstream_calls: chunks.length * 2,
+        providers
+      },
+      grid: {
+        bbox: [lons[0], lats[0], lons[lons.length - 1], lats[lats.length - 1]],
+        step,
+        rows: lats.length,
+        cols: lons.length,
+        lats,
+        lons
+      },
+      // values[field][row][col] is the value at (lats[row], lons[col])
+      values: Object.fromEntries(fields.map(field => [field, lats.map(lat => lons.map(lon => {
+        const scan = scans.get(coordsKey(lat, lon));
+        return scan ? getPath(scan, field) ?? null : null;
+      }))]))
+    };
+
+    areaCache.set(cacheKey, result);
+    return result;
+  });
+}
+
+/**
+ * Render an area grid in the requested unit system. The grid's field paths
+ * keep their unit suffix, so they convert like any other field.
+ */
+function presentArea(result, units) {
+  const values = units === 'metric'
+    ? result.values
+    : Object.fromEntries(Object.entries(result.values).map(([field, rows]) => [
+      convertField(field, null, units)[0],
+      rows.map(row => row.map(value => convertField(field, value, units)[1]))
+    ]));
+  return { ...result, meta: { ...result.meta, units }, values };
+}
+
+const MAX_COMPARE_LOCATIONS = 10;
+
+/**
+ * Metrics lined up by /compare: the scan field each reads and which way is
+ * better. `target` metrics are best closest to a comfortable value. Names
+ * keep unit suffixes so presentResult converts them.
+ */
+const COMPARE_METRICS = {
+  overall_score: { field: 'derived.outdoor_activity.score', better: 'higher' },
+  temperature_c: { field: 'temperature.current_c', target: 21 },
+  feels_like_c: { field: 'temperature.feels_like_c', target: 21 },
+  humidity_percent: { field: 'humidity.relative_percent', target: 45 },
+  us_aqi: { field: 'air_quality.us_aqi', better: 'lower' },
+  uv_index: { field: 'uv_index.current', better: 'lower' },
+  wind_speed_kmh: { field: 'wind.speed_kmh', better: 'lower' },
+  wind_gusts_kmh: { field: 'wind.gusts_kmh', better: 'lower' },
+  cloud_cover_percent: { field: 'atmosphere.cloud_cover_percent', better: 'lower' },
+  daily_precipitation_mm: { field: 'precipitation.daily_sum_mm', better: 'lower' },
+  precipitation_probability_percent: { field: 'precipitation.daily_probability_percent', better: 'lower' }
+};
+
+// A metric's name once converted to `units` (`temperature_c` → `temperature_f`)
+function compareMetricName(name, units) {
+  return convertField(name, 0, units)[0];
+}
+
+// Every rank_by name in any unit system, for the route schema
+const RANK_BY_NAMES = [...new Set(UNIT_SYSTEMS.flatMap(units =>
+  Object.keys(COMPARE_METRICS).map(name => compareMetricName(name, units))))];
+
+/**
+ * The COMPARE_METRICS key for `rank_by`, named as in the requested unit
+ * system (`temperature_f` with imperial units). Metric names always work.
+ */
+function parseRankBy(value, units) {
+  const name = Object.keys(COMPARE_METRICS).find(key => key === value || compareMetricName(key, units) === value);
+  if (!name) {
+    const allowed = Object.keys(COMPARE_METRICS).map(key => compareMetricName(key, units));
+    throw new HttpError(400, `Invalid rank_by for ${units} units. Must be one of: ${allowed.join(', ')}`);
+  }
+  return name;
+}
+
+// Higher is better; null when the value is missing
+function compareScore(metric, value) {
+  if (value == null) return null;
+  if (metric.target != null) return -Math.abs(value - metric.target);
+  return metric.better === 'higher' ? value : -value;
+}
+
+/**
+ * Scan 2..MAX_COMPARE_LOCATIONS locations in parallel through performScan,
+ * line up COMPARE_METRICS side by side, rank by `rankBy` and name the best
+ * and worst location for every metric. `inputs` are resolveLocation queries
+ * with a `label` echoing what the caller asked for. A location that fails to
+ * resolve or scan stays in the list with `ok: false` and is not ranked.
+ */
+async function performCompare(inputs, rankBy) {
+  const rows = await mapWithConcurrency(inputs, BATCH_CONCURRENCY, async ({ label, ...query }, index) => {
+    try {
+      const { lat, lon, location } = await resolveLocation(query, '/compare');
+      const scan = await performScan(lat, lon, location);
+      const metrics = {};
+      for (const [name, metric] of Object.entries(COMPARE_METRICS)) metrics[name] = getPath(scan, metric.field) ?? null;
+      // The cached scan may carry another place in the same grid cell: name the one asked for
+      const place = modelLocation({ ...location, lat, lon });
+      return { index, input: label, ok: true, cached: scan.meta._cached, location: place, metrics };
+    } catch (err) {
+      return { index, input: label, ok: false, error: { status: err.statusCode || 502, message: err.message } };
+    }
+  });
+
+  const scanned = rows.filter(row => row.ok);
+  const best = {};
+  const worst = {};
+  for (const [name, metric] of Object.entries(COMPARE_METRICS)) {
+    const scored = scanned
+      .map(row => ({ row, score: compareScore(metric, row.metrics[name]) }))
+      .filter(entry => entry.score != null);
+    if (scored.length === 0) {
+      best[name] = worst[name] = null;
+      continue;
+    }
+    const pick = ({ row }) => ({ index: row.index, city: row.location.city });
+    best[name] = pick(scored.reduce((a, b) => b.score > a.score ? b : a));
+    worst[name] = pick(scored.reduce((a, b) => b.score < a.score ? b : a));
+  }
+
+  // Ranked locations first (best score first, ties keep input order), then unranked ones
+  const metric = COMPARE_METRICS[rankBy];
+  const ranked = scanned
+    .map(row => ({ row, score: compareScore(metric, row.metrics[rankBy]) }))
+    .filter(entry => entry.score != null)
+    .sort((a, b) => b.score - a.score || a.row.index - b.row.index)
+    .map(({ row }, i) => ({ rank: i + 1, ...row }));
+  const rankedIndexes = new Set(ranked.map(row => row.index));
+  const unranked = rows.filter(row => !rankedIndexes.has(row.index)).map(row => ({ rank: null, ...row }));
+
+  return {
+    meta: {
+      source: 'ambiant-scan',
+      version: '1.0.0',
+      timestamp: new Date().toISOString(),
+      locations: rows.length,
+      cached_locations: scanned.filter(row => row.cached).length,
+      errors: rows.length - scanned.length,
+      rank_by: rankBy
+    },
+    locations: [...ranked, ...unranked].map(({ cached, ...row }) => row),
+    best,
+    worst
+  };
+}
+
+async function performForecast(lat, lon, location, days, hourly) {
+  const cacheKey = `${coordsKey(lat, lon)}|${days}d|${hourly ? 'hourly' : 'daily'}`;
+
+  return serveCached(forecastCache, cacheKey, async () => {
+    const [weather, airQuality] = await Promise.all([
+      fetchWeatherForecast(lat, lon, days, hourly).catch(degradeSource('weather_forecast')),
+      fetchAirQualityForecast(lat, lon, days).catch(degradeSource('air_quality_forecast'))
+    ]);
+
+    if (!weather && !airQuality) {
+      throw new Error('All forecast data sources are unavailable');
+    }
+
+    const result = modelSeriesData(location, weather?.data, airQuality?.data, hourly);
+    result.meta.providers = providersMeta(location, weather, airQuality);
+
+    forecastCache.set(cacheKey, result);
+
+    return result;
+  });
+}
+
+async function performHistory(lat, lon, location, start, end, hourly) {
+  const cacheKey = `${coordsKey(lat, lon)}|${start}|${end}|${hourly ? 'hourly' : 'daily'}`;
+
+  return serveCached(historyCache, cacheKey, async () => {
+    const [weather, airQuality] = await Promise.all([
+      fetchWeatherHistory(lat, lon, start, end, hourly).catch(degradeSource('weather_history')),
+      fetchAirQualityHistory(lat, lon, start, end).catch(degradeSource('air_quality_history'))
+    ]);
+
+    if (!weather && !airQuality) {
+      throw new Error('All historical data sources are unavailable');
+    }
+
+    const result = modelSeriesData(location, weather?.data, airQuality?.data, hourly, { range: { start, end } });
+    result.meta.providers = providersMeta(location, weather, airQuality);
+
+    // Archived days never change, except the most recent ones which the
+    // archive may still be backfilling — those only get the regular data TTL.
+    const settled = daysBetween(end, todayISODate()) > HISTORY_ARCHIVE_LAG_DAYS;
+    historyCache.set(cacheKey, result, settled ? HISTORY_CACHE_TTL : CACHE_TTL);
+
+    return result;
+  });
+}
+
+// ─── GeoIP Utilities ────────────────────────────────────────────────────────
+
+/**
+ * Parse an IPv4 or IPv6 address into `{ family, value }` with a BigInt value.
+ * IPv4-mapped IPv6 (::ffff:1.2.3.4) comes back as IPv4. null if not an IP.
+ */
+function parseIP(raw) {
+  let ip = String(raw).trim().replace(/%.*$/, '');   // drop an IPv6 zone id
+  const family = net.isIP(ip);
+  if (family === 4) {
+    return { family: 4, value: ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n) };
+  }
+  if (family !== 6) return null;
+
+  const v4Tail = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(ip);
+  if (v4Tail) {
+    const [, o1, o2, o3, o4] = v4Tail.map(Number);
+    ip = ip.slice(0, v4Tail.index) + ((o1 << 8) | o2).toString(16) + ':' + ((o3 << 8) | o4).toString(16);
+  }
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+
+  if (value >> 32n === 0xffffn) return { family: 4, value: value & 0xffffffffn };
+  return { family: 6, value };
+}
+
+/**
+ * Parse `addr/bits` (or a bare address, meaning a single host) into a
+ * matcher for cidrContains. Throws on malformed input.
+ */
+function parseCIDR(cidr) {
+  const [addr, bitsText, extra] = String(cidr).trim().split('/');
+  const parsed = parseIP(addr);
+  const written = net.isIP(addr) === 6 ? 128 : 32;
+  let bits = bitsText === undefined ? written : /^\d+$/.test(bitsText) ? Number(bitsText) : NaN;
+  // IPv4-mapped IPv6 ranges (::ffff:0:0/96 and narrower) match as IPv4
+  if (parsed?.family === 4 && written === 128) bits -= 96;
+  const width = parsed?.family === 4 ? 32 : 128;
+
+  if (!parsed || extra !== undefined || !(bits >= 0 && bits <= width)) {
+    throw new Error(`Invalid CIDR "${cidr}"`);
+  }
+  const mask = ((1n << BigInt(width)) - 1n) ^ ((1n << BigInt(width - bits)) - 1n);
+  return { family: parsed.family, mask, base: parsed.value & mask };
+}
+
+function cidrContains(range, parsed) {
+  return parsed != null && parsed.family === range.family && (parsed.value & range.mask) === range.base;
+}
+
+/**
+ * Special-purpose ranges (IANA IPv4/IPv6 special-purpose registries) that
+ * can never be geolocated, with the reason reported for each.
+ */
+const RESERVED_IP_RANGES = [
+  ['0.0.0.0/8', 'unspecified'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'cgnat'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'reserved'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.88.99.0/24', 'reserved'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['255.255.255.255/32', 'broadcast'],
+  ['240.0.0.0/4', 'reserved'],
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['64:ff9b:1::/48', 'reserved'],
+  ['100::/64', 'reserved'],
+  ['2001:db8::/32', 'documentation'],
+  ['fc00::/7', 'unique-local'],
+  ['fe80::/10', 'link-local'],
+  ['ff00::/8', 'multicast']
+].map(([cidr, reason]) => ({ ...parseCIDR(cidr), reason }));
+
+/**
+ * Why an address can't be geolocated: 'private', 'loopback', 'link-local',
+ * 'cgnat', 'unique-local', 'multicast', … or null for a public address.
+ * Anything that isn't an IP address at all is 'invalid'.
+ */
+function classifyIP(ip) {
+  const parsed = parseIP(ip);
+  if (!parsed) return 'invalid';
+  return RESERVED_IP_RANGES.find(range => cidrContains(range, parsed))?.reason || null;
+}
+
+/**
+ * Determine if an IP is a private, localhost or otherwise reserved address.
+ * Host names other than "localhost" are not IPs and never count as private.
+ */
+function isPrivateIP(ip) {
+  if (ip === 'localhost') return true;
+  return net.isIP(String(ip).replace(/%.*$/, '')) !== 0 && classifyIP(ip) !== null;
+}
+
+// Shorthands usable in TRUSTED_PROXIES
+const TRUSTED_PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  none: []
+};
+
+/**
+ * Parse TRUSTED_PROXIES: comma-separated CIDRs, bare addresses and presets.
+ */
+function parseTrustedProxies(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean)
+    .flatMap(entry => TRUSTED_PROXY_PRESETS[entry] || [entry])
+    .map(parseCIDR);
+}
+
+let TRUSTED_PROXIES;
+
+function isTrustedProxy(ip) {
+  const parsed = parseIP(ip);
+  return TRUSTED_PROXIES.some(range => cidrContains(range, parsed));
+}
+
+function normalizeIP(ip) {
+  // Strip IPv6-mapped IPv4 prefix (::ffff:1.2.3.4 → 1.2.3.4)
+  return String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/**
+ * Work out the real client address. Proxy headers are only honoured when the
+ * socket peer is a trusted proxy (TRUSTED_PROXIES); otherwise anyone could
+ * claim any address. From a trusted peer the priority is Fly-Client-IP →
+ * X-Forwarded-For → X-Real-IP. X-Forwarded-For is walked right to left past
+ * trusted hops, so the first untrusted hop is the client — entries further
+ * left were written by the client itself and can't be believed.
+ * Resolves to `{ ip, source }`, memoized per request.
+ */
+function resolveClientIP(req) {
+  if (req.clientIP) return req.clientIP;
+
+  const peer = normalizeIP(req.socket?.remoteAddress);
+  let result = { ip: peer, source: 'socket' };
+
+  if (peer && isTrustedProxy(peer)) {
+    const flyClientIP = normalizeIP(req.headers['fly-client-ip']);
+    const hops = (req.headers['x-forwarded-for'] || '').split(',').map(normalizeIP).filter(Boolean);
+    const realIP = normalizeIP(req.headers['x-real-ip']);
+
+    if (net.isIP(flyClientIP)) {
+      result = { ip: flyClientIP, source: 'fly-client-ip' };
+    } else if (hops.length) {
+      let client = null;
+      for (let i = hops.length - 1; i >= 0; i--) {
+        if (!net.isIP(hops[i])) break;
+        client = hops[i];
+        if (!isTrustedProxy(client)) break;
+      }
+      if (client) result = { ip: client, source: 'x-forwarded-for' };
+    } else if (net.isIP(realIP)) {
+      result = { ip: realIP, source: 'x-real-ip' };
+    }
+  }
+
+  req.clientIP = result;
+  return result;
+}
+
+function getClientIP(req) {
+  return resolveClientIP(req).ip;
+}
+
+/**
+ * True when the request carries proxy headers that resolveClientIP ignored
+ * because they didn't come from a trusted proxy.
+ */
+function ignoresProxyHeaders(req) {
+  const hasHeaders = ['fly-client-ip', 'x-forwarded-for', 'x-real-ip'].some(name => req.headers[name]);
+  return hasHeaders && resolveClientIP(req).source === 'socket';
+}
+
+/**
+ * Which header (or the socket) getClientIP took the address from.
+ */
+function clientIPSource(req) {
+  return resolveClientIP(req).source;
+}
+
+/**
+ * Look up geolocation for an IP address using ip-api.com (free, no key)
+ * unless overridden. Returns lat, lon, city, region, country, timezone, isp, etc.
+ */
+async function geoipLookup(ip) {
+  const cached = geoipCache.get(ip);
+  if (cached) return cached;
+
+  return geoipCache.coalesce(ip, async () => {
+    const { data, provider } = await fetchFromProviders('geoip', ip, 5000);
+    const result = { ...data, provider };
+
+    geoipCache.set(ip, result);
+    return result;
+  });
+}
+
+// ─── Alerts (threshold subscriptions & webhooks) ───────────────────────────
+
+/**
+ * Level fields are compared by rank, so `uv_index.level >= very_high`
+ * matches `very_high` and `extreme`.
+ */
+const LEVEL_SCALES = {
+  'air_quality.level': AQI_LEVELS,
+  'air_quality.european_aqi.level': EUROPEAN_AQI_LEVELS,
+  'uv_index.level': ['low', 'moderate', 'high', 'very_high', 'extreme'],
+  'derived.frost_risk.level': FROST_LEVELS,
+  'derived.outdoor_activity.level': ACTIVITY_LEVELS
+};
+for (const pollutant of Object.keys(EPA_BREAKPOINTS)) LEVEL_SCALES[`air_quality.pollutants.${pollutant}.level`] = AQI_LEVELS;
+for (const type of Object.keys(POLLEN_TYPES)) LEVEL_SCALES[`air_quality.pollen.${type}.level`] = POLLEN_LEVELS;
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Every value in a scan result (outside `meta`, minus unit labels): what
+// alerts can watch and /scan/area can map
+const SCAN_FIELDS = new Set(
+  Object.keys(flattenObject(modelEnvironmentalData({}, null, null)))
+    .filter(field => !field.startsWith('meta.') && !field.endsWith('.unit'))
+);
+
+const alerts = new Map();         // id → subscription
+let alertCheckRunning = false;
+const queuedAlertChecks = new Set(); // alerts asked to be checked while a check was running
+
+function getPath(obj, field) {
+  return field.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Validate a `{ field, op, value }` condition against the scan shape.
+ */
+function parseCondition(condition) {
+  if (!condition || typeof condition !== 'object') {
+    throw new HttpError(400, 'Missing condition. Expected {"field": "...", "op": ">", "value": ...}');
+  }
+  const { field, op, value } = condition;
+  if (!SCAN_FIELDS.has(field)) {
+    throw new HttpError(400, `Unknown condition field "${field}"`, { fields: [...SCAN_FIELDS] });
+  }
+  if (!COMPARATORS[op]) {
+    throw new HttpError(400, `Invalid condition op. Must be one of: ${Object.keys(COMPARATORS).join(', ')}`);
+  }
+  const scale = LEVEL_SCALES[field];
+  if (scale && !scale.includes(value)) {
+    throw new HttpError(400, `Invalid value for ${field}. Must be one of: ${scale.join(', ')}`);
+  }
+  if (!scale && !['==', '!='].includes(op) && typeof value !== 'number') {
+    throw new HttpError(400, `Condition op "${op}" needs a numeric value`);
+  }
+  return { field, op, value };
+}
+
+/**
+ * Returns `{ value, met }`; `met` is null when the scan has no data for the
+ * field, which leaves the alert's state unchanged.
+ */
+function evaluateCondition(condition, scan) {
+  const value = getPath(scan, condition.field);
+  if (value == null || value === 'unknown') return { value: value ?? null, met: null };
+  const scale = LEVEL_SCALES[condition.field];
+  const met = scale
+    ? COMPARATORS[condition.op](scale.indexOf(value), scale.indexOf(condition.value))
+    : COMPARATORS[condition.op](value, condition.value);
+  return { value, met };
+}
+
+function parseWebhookUrl(raw) {
+  let target;
+  try {
+    target = new URL(raw);
+  } catch (e) {
+    throw new HttpError(400, 'Invalid webhook_url');
+  }
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    throw new HttpError(400, 'webhook_url must be http(s)');
+  }
+  // A trailing dot is the same name (`localhost.`); names are re-checked
+  // against their resolved addresses at delivery (see publicOnlyLookup)
+  const host = target.hostname.replace(/\.$/, '').replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateIP(host)) {
+    throw new HttpError(400, 'webhook_url must not point at a private or localhost address');
+  }
+  return target.toString();
+}
+
+/**
+ * Public view of a subscription — never includes the signing secret or
+ * the owner.
+ */
+function alertView(alert) {
+  const { secret, owner, ...view } = alert;
+  return view;
+}
+
+/**
+ * Who a request's alerts belong to: its API key (hashed, so ALERTS_FILE
+ * never holds keys) or, without a key, its client IP.
+ */
+function alertOwner(req) {
+  const id = req.client?.id || `ip:${getClientIP(req)}`;
+  if (!id.startsWith('key:')) return id;
+  return `key:${crypto.createHash('sha256').update(id.slice(4)).digest('hex').slice(0, 16)}`;
+}
+
+// Admin keys see every subscription; everyone else only their own
+function canAccessAlert(req, alert) {
+  return req.client?.scope === 'admin' || alert.owner === alertOwner(req);
+}
+
+async function createAlert(body, owner) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  if (alerts.size >= MAX_ALERTS) {
+    throw new HttpError(409, `Alert limit reached (${MAX_ALERTS})`);
+  }
+  if (body.city != null && typeof body.city !== 'string') {
+    throw new HttpError(400, 'city must be a string');
+  }
+  const condition = parseCondition(body.condition);
+  const webhookUrl = parseWebhookUrl(body.webhook_url);
+  const debounceChecks = body.debounce_checks == null ? ALERT_DEBOUNCE_CHECKS : parseInt(body.debounce_checks, 10);
+  if (isNaN(debounceChecks) || debounceChecks < 1 || debounceChecks > 20) {
+    throw new HttpError(400, 'debounce_checks must be 1..20');
+  }
+  const { lat, lon, location } = await resolveLocation(body, '/alerts');
+
+  const alert = {
+    id: `alt_${crypto.randomBytes(8).toString('hex')}`,
+    name: typeof body.name === 'string' ? body.name.slice(0, 100) : null,
+    location: {
+      city: location.city,
+      region: location.region,
+      country: location.country,
+      countryCode: location.countryCode,
+      coordinates: { lat, lon }
+    },
+    condition,
+    webhook_url: webhookUrl,
+    debounce_checks: debounceChecks,
+    secret: typeof body.secret === 'string' && body.secret.length >= 16
+      ? body.secret
+      : crypto.randomBytes(24).toString('hex'),
+    state: {
+      active: false,
+      streak: 0,                  // consecutive checks that disagree with `active`
+      last_value: null,
+      last_checked_at: null,
+      last_event_at: null
+    },
+    delivery: {
+      last_status: null,
+      last_error: null,
+      last_attempt_at: null,
+      failures: 0
+    },
+    owner,
+    created_at: new Date().toISOString()
+  };
+  alerts.set(alert.id, alert);
+  saveAlerts();
+  return alert;
+}
+
+/**
+ * Sign `${timestamp}.${body}` with the subscription secret, so receivers can
+ * reject replayed deliveries by checking the timestamp.
+ */
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST an event to the subscription's webhook, retrying network errors,
+ * 429 and 5xx with exponential backoff. The outcome lands in `alert.delivery`.
+ */
+async function deliverWebhook(alert, event, payload) {
+  const body = JSON.stringify(payload);
+  const deliveryId = `dlv_${crypto.randomBytes(8).toString('hex')}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    alert.delivery.last_attempt_at = new Date().toISOString();
+    try {
+      const status = await postJSON(alert.webhook_url, body, {
+        'X-Ambiant-Event': event,
+        'X-Ambiant-Delivery': deliveryId,
+        'X-Ambiant-Timestamp': String(timestamp),
+        'X-Ambiant-Signature': signWebhook(alert.secret, timestamp, body)
+      }, ALERT_WEBHOOK_TIMEOUT);
+      alert.delivery.last_status = status;
+      alert.delivery.last_error = null;
+      return true;
+    } catch (err) {
+      alert.delivery.last_status = err.statusCode || null;
+      alert.delivery.last_error = err.message;
+      if (!isRetryable(err) || attempt >= ALERT_WEBHOOK_RETRIES) {
+        alert.delivery.failures++;
+        logger.warn('Alert webhook delivery failed', { alert_id: alert.id, event, error: err.message });
+        return false;
+      }
+      await sleep(ALERT_WEBHOOK_RETRY_BASE_MS * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Evaluate one subscription against a fresh scan. The state only flips after
+ * `debounce_checks` consecutive checks agree, and each flip sends one
+ * `alert.triggered` or `alert.resolved` event.
+ */
+function updateAlertState(alert, scan) {
+  const { value, met } = evaluateCondition(alert.condition, scan);
+  const state = alert.state;
+  state.last_checked_at = new Date().toISOString();
+  if (met === null) return null;
+  state.last_value = value;
+
+  if (met === state.active) {
+    state.streak = 0;
+    return null;
+  }
+  state.streak++;
+  if (state.streak < alert.debounce_checks) return null;
+
+  state.active = met;
+  state.streak = 0;
+  state.last_event_at = state.last_checked_at;
+  return met ? 'alert.triggered' : 'alert.resolved';
+}
+
+/**
+ * Re-scan every subscribed location, or just `subset` (through the scan
+ * cache, one scan per grid cell), and fire webhooks for alerts whose
+ * condition changed. Only the scans hold the running flag — deliveries and
+ * their retries don't. A subset requested meanwhile (a new alert's first
+ * check) is queued and checked right after; an overlapping full check is
+ * skipped, as the next interval runs one anyway.
+ */
+async function checkAlerts(subset = null) {
+  if (alertCheckRunning) {
+    for (const alert of subset || []) queuedAlertChecks.add(alert);
+    return;
+  }
+  subset = subset || [...alerts.values()];
+  if (subset.length === 0) return;
+  alertCheckRunning = true;
+
+  const deliveries = [];
+  try {
+    const cells = new Map();      // coordsKey → alerts at that cell
+    for (const alert of subset) {
+      const { lat, lon } = alert.location.coordinates;
+      const key = coordsKey(lat, lon);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(alert);
+    }
+
+    let changed = false;
+    await mapWithConcurrency([...cells.values()], BATCH_CONCURRENCY, async (cellAlerts) => {
+      const { lat, lon } = cellAlerts[0].location.coordinates;
+      let scan;
+      try {
+        scan = await performScan(lat, lon, { ...cellAlerts[0].location, lat, lon });
+      } catch (err) {
+        logger.warn('Alert check failed', { lat, lon, error: err.message });
+        return;
+      }
+      for (const alert of cellAlerts) {
+        const event = updateAlertState(alert, scan);
+        if (!event) continue;
+        changed = true;
+        deliveries.push(deliverWebhook(alert, event, {
+          event,
+          alert: { id: alert.id, name: alert.name, location: alert.location, condition: alert.condition },
+          value: alert.state.last_value,
+          observed_at: alert.state.last_checked_at,
+          scan_timestamp: scan.meta.timestamp
+        }));
+      }
+    });
+
+    if (changed) saveAlerts();
+  } finally {
+    alertCheckRunning = false;
+  }
+
+  if (queuedAlertChecks.size > 0) {
+    const queued = [...queuedAlertChecks].filter(alert => alerts.has(alert.id));
+    queuedAlertChecks.clear();
+    checkAlerts(queued).catch(err => logger.warn('Alert check failed', { error: err.message }));
+  }
+  await Promise.all(deliveries);
+}
+
+// Subscriptions are small and change rarely, so the whole set is rewritten
+function saveAlerts() {
+  if (!ALERTS_FILE) return;
+  try {
+    fs.mkdirSync(path.dirname(ALERTS_FILE), { recursive: true });
+    fs.writeFileSync(`${ALERTS_FILE}.tmp`, JSON.stringify([...alerts.values()], null, 2));
+    fs.renameSync(`${ALERTS_FILE}.tmp`, ALERTS_FILE);
+  } catch (err) {
+    logger.error('Alerts save failed', { file: ALERTS_FILE, error: err.message });
+  }
+}
+
+function loadAlerts() {
+  if (!ALERTS_FILE) return;
+  try {
+    for (const alert of JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8'))) alerts.set(alert.id, alert);
+    logger.info('Alerts loaded', { subscriptions: alerts.size, file: ALERTS_FILE });
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.error('Alerts load failed', { file: ALERTS_FILE, error: err.message });
+  }
+}
+
+// ─── Live Streams (Server-Sent Events) ─────────────────────────────────────
+
+/**
+ * Viewers of the same grid cell share one stream group and one refresh
+ * timer. The timer only calls performScan, which serves from dataCache until
+ * the entry expires; pushes are driven by the cache's `set` event, so a
+ * refresh triggered by any request reaches every viewer of that cell.
+ */
+const streamGroups = new Map();   // coordsKey → { lat, lon, location, clients: Set, timer }
+let streamClientCount = 0;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\nid: ${data.meta?.timestamp || Date.now()}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function pushScan(client, scan, meta = {}) {
+  const payload = presentResult(responseCopy(scan, meta), client.presentation);
+  writeEvent(client.res, 'scan', payload);
+}
+
+// Listens on dataCache; configure() moves it over when the cache is replaced
+function pushStreamUpdate(key, data) {
+  const group = streamGroups.get(key);
+  if (!group) return;
+  const meta = { _cached: false, ...placeMeta(data, group.lat, group.lon, group.location) };
+  for (const client of group.clients) pushScan(client, data, meta);
+}
+
+function joinStream(key, { lat, lon, location }, client) {
+  let group = streamGroups.get(key);
+  if (!group) {
+    group = { lat, lon, location, clients: new Set(), timer: null };
+    // The group outlives the request that opened it — don't tag its refreshes
+    group.timer = requestContext.exit(() => setInterval(() => {
+      performScan(group.lat, group.lon, group.location).catch(err => {
+        logger.warn('Stream refresh failed', { key, error: err.message });
+      });
+    }, STREAM_REFRESH_INTERVAL));
+    streamGroups.set(key, group);
+  }
+  group.clients.add(client);
+  streamClientCount++;
+}
+
+function leaveStream(key, client) {
+  const group = streamGroups.get(key);
+  if (!group || !group.clients.delete(client)) return;
+  streamClientCount--;
+  if (group.clients.size === 0) {
+    clearInterval(group.timer);
+    streamGroups.delete(key);
+  }
+}
+
+function sendHeartbeats() {
+  for (const group of streamGroups.values()) {
+    for (const client of group.clients) client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+  }
+}
+
+/**
+ * Open an SSE stream for a resolved location: send the current scan, then
+ * keep the connection in its cell's group until the client disconnects.
+ */
+async function openScanStream(res, resolved, presentation) {
+  if (streamClientCount >= MAX_STREAM_CLIENTS) {
+    throw new HttpError(503, 'Too many open streams, try again later');
+  }
+  const key = coordsKey(resolved.lat, resolved.lon);
+
+  // Listen before the first scan: a client gone by the time it returns must
+  // never join the group (nor count towards MAX_STREAM_CLIENTS)
+  let client = null;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    if (client) leaveStream(key, client);
+  });
+
+  const initial = await performScan(resolved.lat, resolved.lon, resolved.location);
+  if (closed || res.destroyed) return;
+
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    'X-Powered-By': 'Ambiant-Scan/1.0'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  client = { res, presentation };
+  pushScan(client, initial);
+  joinStream(key, resolved, client);
+}
+
+// ─── Access Control (API keys & rate limits) ───────────────────────────────
+
+const API_KEY_SCOPES = ['user', 'admin'];
+
+/**
+ * Parse `key` / `key:scope` entries (from API_KEYS or API_KEYS_FILE lines).
+ * Blank lines and `#` comments are skipped.
+ */
+function parseApiKeys(entries) {
+  const keys = new Map();         // key → scope
+  for (const entry of entries) {
+    const trimmed = entry.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const [key, scope = 'user'] = trimmed.split(':').map(part => part.trim());
+    if (!API_KEY_SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope "${scope}" for key ${key.slice(0, 4)}… (expected ${API_KEY_SCOPES.join(' or ')})`);
+    }
+    keys.set(key, scope);
+  }
+  return keys;
+}
+
+let apiKeys;
+
+function loadApiKeys(env) {
+  const entries = (env.API_KEYS || '').split(',');
+  if (API_KEYS_FILE) entries.push(...fs.readFileSync(API_KEYS_FILE, 'utf8').split('\n'));
+  return parseApiKeys(entries);
+}
+
+/**
+ * Token buckets keyed by client id. Each bucket holds up to `capacity`
+ * tokens and refills at `capacity` per RATE_LIMIT_WINDOW, so clients get
+ * short bursts without exceeding their average rate.
+ */
+class RateLimiter {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.buckets = new Map();     // id → { tokens, capacity, updatedAt }
+  }
+
+  refill(bucket, now) {
+    const rate = bucket.capacity / this.windowMs;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+    bucket.updatedAt = now;
+    return rate;
+  }
+
+  take(id, capacity) {
+    const now = Date.now();
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: capacity, capacity, updatedAt: now };
+      this.buckets.set(id, bucket);
+    }
+    const rate = this.refill(bucket, now);
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((capacity - bucket.tokens) / rate / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate / 1000)
+    };
+  }
+
+  /** Drop buckets that have refilled completely — they hold no state. */
+  prune() {
+    const now = Date.now();
+    for (const [id, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      if (bucket.tokens >= bucket.capacity) this.buckets.delete(id);
+    }
+  }
+}
+
+let rateLimiter;
+
+function presentedApiKey(req, query) {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'].trim();
+  const bearer = /^Bearer\s+(\S+)/i.exec(req.headers.authorization || '');
+  if (bearer) return bearer[1];
+  return typeof query.api_key === 'string' && query.api_key ? query.api_key : null;
+}
+
+/**
+ * Identify the caller, enforce admin scope and apply its rate limit.
+ * Keyed clients are limited per key; everyone else per IP. With no keys
+ * configured, auth is off and only the per-IP limit applies. `route` is the
+ * matched ROUTES entry (null for unknown paths): `admin` routes need an
+ * admin key, and `unmetered` ones (probes, scrapers) are never limited.
+ * Sets the `RateLimit-*` headers and throws an HttpError (401/403/429) on
+ * rejection.
+ */
+function authorizeRequest(req, res, route, query) {
+  const key = apiKeys.size > 0 ? presentedApiKey(req, query) : null;
+  let client;
+  if (key) {
+    if (!apiKeys.has(key)) throw new HttpError(401, 'Invalid API key');
+    client = { id: `key:${key}`, scope: apiKeys.get(key), limit: RATE_LIMIT_PER_KEY };
+  } else {
+    client = { id: `ip:${getClientIP(req)}`, scope: null, limit: RATE_LIMIT_PER_IP };
+  }
+
+  req.client = client;
+
+  if (route?.admin && client.scope !== 'admin') {
+    // Without an admin key nobody can pass, so admin routes stay closed
+    if (![...apiKeys.values()].includes('admin')) {
+      throw new HttpError(403, 'Admin routes are disabled — configure a key:admin entry in API_KEYS');
+    }
+    throw client.scope
+      ? new HttpError(403, 'This route requires an admin API key')
+      : new HttpError(401, 'API key required — send X-API-Key or Authorization: Bearer');
+  }
+  if (apiKeys.size > 0 && REQUIRE_API_KEY && !client.scope && !route?.unmetered) {
+    throw new HttpError(401, 'API key required — send X-API-Key or Authorization: Bearer');
+  }
+
+  if (route?.unmetered || client.limit <= 0) return;
+
+  const verdict = rateLimiter.take(client.id, client.limit);
+  res.setHeader('RateLimit-Limit', client.limit);
+  res.setHeader('RateLimit-Remaining', verdict.remaining);
+  res.setHeader('RateLimit-Reset', verdict.resetSeconds);
+  res.setHeader('RateLimit-Policy', `${client.limit};w=${RATE_LIMIT_WINDOW / 1000}`);
+  if (!verdict.allowed) {
+    res.setHeader('Retry-After', verdict.retryAfterSeconds);
+    throw new HttpError(429, 'Rate limit exceeded', {
+      limit: client.limit,
+      window_seconds: RATE_LIMIT_WINDOW / 1000,
+      retry_after_seconds: verdict.retryAfterSeconds
+    });
+  }
+}
+
+// ─── HTTP Server & Routing ──────────────────────────────────────────────────
+
+/**
+ * Error carrying an HTTP status, thrown by request helpers and turned into a
+ * `sendError` response by the router instead of a generic 500.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function todayISODate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (negative if `to` is earlier).
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Validate a `?start=&end=` date range for `/history`.
+ * Both dates are inclusive YYYY-MM-DD calendar dates.
+ */
+function parseDateRange(query, hourly) {
+  const isDate = (v) => typeof v === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(v)
+    && !isNaN(Date.parse(`${v}T00:00:00Z`))
+    && new Date(`${v}T00:00:00Z`).toISOString().slice(0, 10) === v;
+
+  if (!query.start || !query.end) {
+    throw new HttpError(400, 'Missing parameters. Provide ?start=YYYY-MM-DD&end=YYYY-MM-DD', {
+      examples: ['/history?city=Montreal&start=2026-02-01&end=2026-02-07']
+    });
+  }
+  if (!isDate(query.start) || !isDate(query.end)) {
+    throw new HttpError(400, 'Invalid date. start and end must be valid YYYY-MM-DD dates');
+  }
+
+  const { start, end } = query;
+  const span = daysBetween(start, end) + 1;
+  const maxSpan = hourly ? MAX_HISTORY_HOURLY_DAYS : MAX_HISTORY_DAYS;
+
+  if (span < 1) {
+    throw new HttpError(400, 'Invalid range. start must be on or before end');
+  }
+  if (start < HISTORY_EARLIEST_DATE) {
+    throw new HttpError(400, `Invalid range. Archive data starts at ${HISTORY_EARLIEST_DATE}`);
+  }
+  if (end >= todayISODate()) {
+    throw new HttpError(400, 'Invalid range. end must be in the past — use /scan or /forecast for today onwards');
+  }
+  if (span > maxSpan) {
+    throw new HttpError(400, `Range too long. At most ${maxSpan} days${hourly ? ' with hourly=true' : ''}`);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Read and parse a JSON request body, rejecting bodies over `limit` bytes.
+ */
+function readJSONBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new HttpError(413, `Request body too large. Limit is ${limit} bytes`);
+
+    if (parseInt(req.headers['content-length'] || '0', 10) > limit) {
+      req.resume();
+      return reject(tooLarge());
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > limit) {
+        aborted = true;
+        chunks.length = 0;
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (aborted) return;
+      if (size === 0) {
+        return reject(new HttpError(400, 'Missing JSON request body'));
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(new HttpError(400, 'Invalid JSON body', e.message));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Validate a lat/lon pair (numbers or numeric strings) and snap it to the grid.
+ */
+function parseCoords(rawLat, rawLon) {
+  const lat = typeof rawLat === 'number' ? rawLat : parseFloat(rawLat);
+  const lon = typeof rawLon === 'number' ? rawLon : parseFloat(rawLon);
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    throw new HttpError(400, 'Invalid coordinates. lat must be -90..90, lon must be -180..180');
+  }
+
+  return roundCoords(lat, lon);
+}
+
+/**
+ * Decode a Google encoded polyline (precision 5, or 6 as used by OSRM and
+ * Valhalla) into `{ lat, lon }` points.
+ */
+function decodePolyline(encoded, precision) {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) throw new HttpError(400, 'Invalid polyline: truncated input');
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) throw new HttpError(400, `Invalid polyline: unexpected character at offset ${index - 1}`);
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && shift < 35);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lon += nextValue();
+    points.push({ lat: lat / factor, lon: lon / factor });
+  }
+  return points;
+}
+
+/**
+ * Read a route from a request body: a GeoJSON LineString (bare or wrapped in
+ * a Feature) or `{ "polyline": "...", "precision": 5 }`. Returns at least two
+ * validated `{ lat, lon }` points.
+ */
+function parseRouteGeometry(body) {
+  const geometry = body?.type === 'Feature' ? body.geometry : body;
+  let points;
+
+  if (geometry?.type === 'LineString' && Array.isArray(geometry.coordinates)) {
+    points = geometry.coordinates.map(position => {
+      if (!Array.isArray(position) || typeof position[0] !== 'number' || typeof position[1] !== 'number') {
+        throw new HttpError(400, 'Invalid LineString: each position must be [lon, lat]');
+      }
+      return { lat: position[1], lon: position[0] };
+    });
+  } else if (typeof body?.polyline === 'string') {
+    const precision = body.precision == null ? 5 : body.precision;
+    if (precision !== 5 && precision !== 6) {
+      throw new HttpError(400, 'Invalid precision. Must be 5 or 6');
+    }
+    points = decodePolyline(body.polyline, precision);
+  } else {
+    throw new HttpError(400, 'Body must be a GeoJSON LineString (or a Feature wrapping one) or {"polyline":"...","precision":5}', {
+      examples: [
+        { type: 'LineString', coordinates: [[-73.57, 45.5], [-73.2, 45.3]] },
+        { polyline: '_p~iF~ps|U_ulLnnqC_mqNvxq`@', precision: 5 }
+      ]
+    });
+  }
+
+  if (points.length < 2) {
+    throw new HttpError(400, 'A route needs at least two points');
+  }
+  for (const { lat, lon } of points) {
+    if (!(lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180)) {
+      throw new HttpError(400, 'Invalid route coordinates. lat must be -90..90, lon must be -180..180');
+    }
+  }
+  return points;
 }
 
-function uvLevel(uvi) {
-  if (uvi == null) return { level: 'unknown', concern: 'No data available' };
-  if (uvi <= 2) return { level: 'low', concern: 'No protection needed' };
-  if (uvi <= 5) return { level: 'moderate', concern: 'Seek shade during midday' };
-  if (uvi <= 7) return { level: 'high', concern: 'Reduce sun exposure between 10am-4pm' };
-  if (uvi <= 10) return { level: 'very_high', concern: 'Extra protection needed; avoid being outside during midday' };
-  return { level: 'extreme', concern: 'Take all precautions; unprotected skin can burn in minutes' };
+const GRID_STEP = 0.01;                // roundCoords lattice, in degrees
+const DEFAULT_AREA_FIELDS = ['temperature.current_c', 'air_quality.us_aqi'];
+
+/**
+ * Validate `?bbox=minLon,minLat,maxLon,maxLat` (GeoJSON bbox order).
+ */
+function parseBBox(value) {
+  const parts = String(value || '').split(',').map(part => part.trim() === '' ? NaN : Number(part));
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+    throw new HttpError(400, 'Invalid bbox. Use ?bbox=minLon,minLat,maxLon,maxLat', {
+      example: '/scan/area?bbox=-73.75,45.40,-73.45,45.70'
+    });
+  }
+  if (minLat < -90 || maxLat > 90 || minLon < -180 || maxLon > 180 || minLat > maxLat || minLon > maxLon) {
+    throw new HttpError(400, 'Invalid bbox. Need -180 <= minLon <= maxLon <= 180 and -90 <= minLat <= maxLat <= 90');
+  }
+  return { minLon, minLat, maxLon, maxLat };
 }
 
-function windDescription(speedKmh) {
-  if (speedKmh == null) return 'unknown';
-  if (speedKmh < 1) return 'calm';
-  if (speedKmh < 6) return 'light air';
-  if (speedKmh < 12) return 'light breeze';
-  if (speedKmh < 20) return 'gentle breeze';
-  if (speedKmh < 29) return 'moderate breeze';
-  if (speedKmh < 39) return 'fresh breeze';
-  if (speedKmh < 50) return 'strong breeze';
-  if (speedKmh < 62) return 'high wind';
-  if (speedKmh < 75) return 'gale';
-  if (speedKmh < 89) return 'strong gale';
-  if (speedKmh < 103) return 'storm';
-  if (speedKmh < 118) return 'violent storm';
-  return 'hurricane';
+/**
+ * Lattice points from `min` to `max` every `k` grid steps, starting at the
+ * first roundCoords grid line inside the range. Works in whole hundredths of
+ * a degree so the points land exactly on the lattice.
+ */
+function gridAxis(min, max, k) {
+  const first = Math.ceil(Math.round(min * 1e6) / 1e4);
+  const last = Math.floor(Math.round(max * 1e6) / 1e4);
+  const values = [];
+  for (let i = first; i <= last; i += k) values.push(i / 100);
+  return values;
 }
 
-function windDirectionLabel(degrees) {
-  if (degrees == null) return 'unknown';
-  const dirs = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
-                 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
-  return dirs[Math.round(degrees / 22.5) % 16];
+function gridAxisLength(min, max, k) {
+  const first = Math.ceil(Math.round(min * 1e6) / 1e4);
+  const last = Math.floor(Math.round(max * 1e6) / 1e4);
+  return last < first ? 0 : Math.floor((last - first) / k) + 1;
 }
 
 /**
- * Compose the full environmental scan result from raw API responses.
+ * Lay a `?step=` grid (a multiple of the 0.01° lattice) over a bbox. Without
+ * a step, the finest one that fits in MAX_AREA_CELLS is used.
  */
-function modelEnvironmentalData(location, weather, airQuality) {
-  const w = weather?.current || {};
-  const wUnits = weather?.current_units || {};
-  const d = weather?.daily || {};
-  const aq = airQuality?.current || {};
-  const aqUnits = airQuality?.current_units || {};
+function buildAreaGrid(bbox, rawStep) {
+  const cellCount = k => gridAxisLength(bbox.minLat, bbox.maxLat, k) * gridAxisLength(bbox.minLon, bbox.maxLon, k);
+  const smallestFit = (k) => {
+    while (cellCount(k) > MAX_AREA_CELLS) k++;
+    return k;
+  };
 
-  const uvIndex = aq.uv_index ?? null;
-  const uvClearSky = aq.uv_index_clear_sky ?? null;
-  const uvMax = d.uv_index_max?.[0] ?? uvIndex;
+  let k;
+  if (rawStep == null) {
+    k = smallestFit(1);
+  } else {
+    const step = Number(rawStep);
+    k = Math.round(step / GRID_STEP);
+    if (!Number.isFinite(step) || k < 1 || Math.abs(k * GRID_STEP - step) > 1e-9 || step > 10) {
+      throw new HttpError(400, 'Invalid step. Must be a multiple of 0.01 (degrees), at most 10');
+    }
+  }
 
+  const cells = cellCount(k);
+  if (cells === 0) {
+    throw new HttpError(400, 'bbox is smaller than the 0.01° grid. Widen it to contain at least one grid point');
+  }
+  if (cells > MAX_AREA_CELLS) {
+    throw new HttpError(400, `Too many cells: ${cells} at step ${k / 100} (max ${MAX_AREA_CELLS})`, {
+      min_step: smallestFit(k) / 100
+    });
+  }
   return {
-    meta: {
-      source: 'ambiant-scan',
-      version: '1.0.0',
-      timestamp: new Date().toISOString(),
-      location: {
-        city: location.city,
-        region: location.region,
-        country: location.country,
-        countryCode: location.countryCode,
-        coordinates: { lat: location.lat, lon: location.lon }
-      },
-      timezone: weather?.timezone || null,
-      elevation_m: weather?.elevation || null
-    },
+    step: k / 100,
+    lats: gridAxis(bbox.minLat, bbox.maxLat, k),
+    lons: gridAxis(bbox.minLon, bbox.maxLon, k)
+  };
+}
 
-    temperature: {
-      current_c: w.temperature_2m ?? null,
-      feels_like_c: w.apparent_temperature ?? null,
-      daily_high_c: d.temperature_2m_max?.[0] ?? null,
-      daily_low_c: d.temperature_2m_min?.[0] ?? null,
-      unit: wUnits.temperature_2m || '°C'
-    },
+/**
+ * Validate `?fields=` against the scan field paths (see SCAN_FIELDS).
+ */
+function parseAreaFields(value) {
+  if (!value) return DEFAULT_AREA_FIELDS;
+  const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !SCAN_FIELDS.has(field));
+  if (fields.length === 0 || unknown.length) {
+    throw new HttpError(400, `Unknown field(s): ${unknown.join(', ') || '(none given)'}`, { fields: [...SCAN_FIELDS] });
+  }
+  return fields;
+}
 
-    air_quality: {
-      us_aqi: aq.us_aqi ?? null,
-      ...aqiLevel(aq.us_aqi),
-      pollutants: {
-        pm2_5: { value: aq.pm2_5 ?? null, unit: aqUnits.pm2_5 || 'μg/m³' },
-        pm10: { value: aq.pm10 ?? null, unit: aqUnits.pm10 || 'μg/m³' },
-        nitrogen_dioxide: { value: aq.nitrogen_dioxide ?? null, unit: aqUnits.nitrogen_dioxide || 'μg/m³' },
-        ozone: { value: aq.ozone ?? null, unit: aqUnits.ozone || 'μg/m³' },
-        sulphur_dioxide: { value: aq.sulphur_dioxide ?? null, unit: aqUnits.sulphur_dioxide || 'μg/m³' },
-        carbon_monoxide: { value: aq.carbon_monoxide ?? null, unit: aqUnits.carbon_monoxide || 'μg/m³' },
-        dust: { value: aq.dust ?? null, unit: aqUnits.dust || 'μg/m³' }
+/**
+ * Read /compare locations: `?cities=A,B`, `?places=geonames:1,geonames:2`
+ * and `?coords=lat,lon;lat,lon`, in that order. Each becomes a
+ * resolveLocation query plus the `label` the caller used for it.
+ */
+function parseCompareLocations(query) {
+  const list = (value, separator) => String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+  const inputs = [
+    ...list(query.cities, ',').map(city => ({ label: city, city })),
+    ...list(query.places, ',').map(place => ({ label: place, place })),
+    ...list(query.coords, ';').map(pair => {
+      const [lat, lon, extra] = pair.split(',');
+      if (lat == null || lon == null || extra != null) {
+        throw new HttpError(400, `Invalid coords entry "${pair}". Use lat,lon pairs separated by ";"`);
       }
-    },
+      return { label: pair, lat: lat.trim(), lon: lon.trim() };
+    })
+  ];
 
-    uv_index: {
-      current: uvIndex,
-      clear_sky: uvClearSky,
-      daily_max: uvMax,
-      ...uvLevel(uvIndex)
-    },
+  if (inputs.length < 2 || inputs.length > MAX_COMPARE_LOCATIONS) {
+    throw new HttpError(400, `Provide 2..${MAX_COMPARE_LOCATIONS} locations via ?cities=, ?places= or ?coords=`, {
+      examples: [
+        '/compare?cities=Montreal,Toronto,Vancouver',
+        '/compare?coords=45.50,-73.57;43.65,-79.38&rank_by=us_aqi'
+      ]
+    });
+  }
+  return inputs;
+}
 
-    humidity: {
-      relative_percent: w.relative_humidity_2m ?? null
-    },
+/**
+ * Validate an optional ISO 3166-1 alpha-2 country code; returns it upper-cased
+ * or '' when absent.
+ */
+function parseCountryCode(value) {
+  if (value == null || value === '') return '';
+  if (typeof value !== 'string' || !/^[a-z]{2}$/i.test(value)) {
+    throw new HttpError(400, `Invalid country "${value}". Use an ISO 3166-1 alpha-2 code, e.g. country=CA`);
+  }
+  return value.toUpperCase();
+}
 
-    wind: {
-      speed_kmh: w.wind_speed_10m ?? null,
-      gusts_kmh: w.wind_gusts_10m ?? null,
-      direction_degrees: w.wind_direction_10m ?? null,
-      direction_label: windDirectionLabel(w.wind_direction_10m),
-      description: windDescription(w.wind_speed_10m),
-      daily_max_kmh: d.wind_speed_10m_max?.[0] ?? null
-    },
+/**
+ * Validate a place id from /geocode. A bare GeoNames id is accepted too.
+ */
+function parsePlaceId(value) {
+  const match = /^(?:geonames:)?(\d{1,12})$/.exec(String(value).trim());
+  if (!match) {
+    throw new HttpError(400, `Invalid place "${value}". Use an id from /geocode, e.g. place=geonames:6077243`);
+  }
+  return `geonames:${match[1]}`;
+}
 
-    atmosphere: {
-      pressure_msl_hpa: w.pressure_msl ?? null,
-      surface_pressure_hpa: w.surface_pressure ?? null,
-      cloud_cover_percent: w.cloud_cover ?? null
-    },
+/**
+ * Resolve `?place=`, `?city=` (optionally with `&country=`) or `?lat=&lon=`
+ * query parameters to snapped coordinates plus location metadata. Shared by
+ * every location-based endpoint.
+ */
+async function resolveLocation(query, endpoint) {
+  if (query.place) {
+    const placeId = parsePlaceId(query.place);
+    try {
+      const location = await lookupPlace(placeId);
+      return { lat: location.lat, lon: location.lon, location };
+    } catch (err) {
+      throw err.fixtureMissing ? err : new HttpError(404, err.message);
+    }
+  }
 
-    precipitation: {
-      current_mm: w.precipitation ?? null,
-      rain_mm: w.rain ?? null,
-      daily_sum_mm: d.precipitation_sum?.[0] ?? null,
-      daily_probability_percent: d.precipitation_probability_max?.[0] ?? null
-    },
+  if (query.city) {
+    const country = parseCountryCode(query.country);
+    try {
+      const location = await forwardGeocode(query.city, country);
+      return { lat: location.lat, lon: location.lon, location };
+    } catch (err) {
+      throw err.fixtureMissing ? err : new HttpError(404, err.message);
+    }
+  }
 
-    conditions: {
-      weather_code: w.weather_code ?? null,
-      description: WEATHER_CODES[w.weather_code] || 'Unknown',
-      is_day: w.is_day === 1
+  if (query.lat != null && query.lon != null) {
+    const { lat, lon } = parseCoords(query.lat, query.lon);
+
+    // Reverse geocode for location metadata
+    const location = await reverseGeocode(lat, lon);
+    return { lat, lon, location };
+  }
+
+  throw new HttpError(400, 'Missing parameters. Provide ?lat=XX&lon=YY, ?city=NAME or ?place=ID', {
+    examples: [
+      `${endpoint}?lat=45.50&lon=-73.57`,
+      `${endpoint}?city=Montreal`,
+      `${endpoint}?city=Paris&country=FR`,
+      `${endpoint}?place=geonames:6077243`
+    ]
+  });
+}
+
+let geoipFallback;
+
+/**
+ * Parse GEOIP_FALLBACK_LOCATION into the query shape resolveLocation takes:
+ * `lat,lon`, a `geonames:<id>` place or a city name. null when unset.
+ */
+function parseFallbackLocation(value) {
+  if (value === '') return null;
+  const coords = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value);
+  if (coords) {
+    const { lat, lon } = parseCoords(coords[1], coords[2]);
+    return { lat, lon };
+  }
+  if (/^geonames:/i.test(value.trim())) return { place: value.trim() };
+  if (!value.trim()) throw new Error('expected lat,lon, a geonames:<id> place or a city name');
+  return { city: value.trim() };
+}
+
+/**
+ * Resolve `?ip=auto` (the caller's address, via getClientIP) or `?ip=<addr>`
+ * with GeoIP. The GeoIP city/region become the location metadata, so no
+ * reverse geocoding call is made. A private address can't be located: the
+ * scan uses `lat`/`lon`, `city` or `place` when given and
+ * GEOIP_FALLBACK_LOCATION otherwise, with a warning, and is refused with 422
+ * when there is neither.
+ */
+async function resolveIPLocation(req, query) {
+  const auto = query.ip === 'auto';
+  const ip = auto ? getClientIP(req) : String(query.ip).trim();
+  const source = auto ? clientIPSource(req) : 'query';
+
+  if (!auto && !net.isIP(ip)) {
+    throw new HttpError(400, 'Invalid ip. Use ?ip=auto or an IPv4/IPv6 address');
+  }
+
+  const reason = ip ? classifyIP(ip) : 'unknown';
+  if (reason) {
+    const warning = 'Private or localhost IP detected — geolocation unavailable';
+    const fromQuery = Boolean(query.place || query.city || (query.lat != null && query.lon != null));
+    if (!fromQuery && !geoipFallback) {
+      throw new HttpError(422, warning, {
+        ip: ip || 'unknown',
+        source,
+        reason,
+        hint: 'Add lat/lon, city or place as a fallback, or set GEOIP_FALLBACK_LOCATION'
+      });
+    }
+    const resolved = await resolveLocation(fromQuery ? query : geoipFallback, '/scan');
+    return {
+      ...resolved,
+      geoip: {
+        ip: ip || 'unknown',
+        source,
+        reason,
+        fallback: fromQuery ? 'query' : 'default',
+        warning: fromQuery
+          ? `${warning}; used the lat/lon or city fallback`
+          : `${warning}; used the default location (GEOIP_FALLBACK_LOCATION)`
+      }
+    };
+  }
+
+  let geo;
+  try {
+    geo = await geoipLookup(ip);
+  } catch (err) {
+    throw new HttpError(502, 'GeoIP lookup failed', err.message);
+  }
+
+  const { lat, lon } = roundCoords(geo.lat, geo.lon);
+  return {
+    lat,
+    lon,
+    location: {
+      city: geo.city,
+      region: geo.region,
+      country: geo.country,
+      countryCode: geo.countryCode,
+      lat,
+      lon,
+      provider: geo.provider
     },
+    geoip: { ip, source }
+  };
+}
 
-    sun: {
-      sunrise: d.sunrise?.[0] || null,
-      sunset: d.sunset?.[0] || null
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key'
+};
+
+/**
+ * Shared caches may only store anonymous answers from `publicCache` routes.
+ * The same routes answer keyed clients `private` (varying on the key
+ * headers); admin, alert, GeoIP, probe and error responses — and anything
+ * flagged `res.perCaller` — are `no-store`.
+ */
+function cacheHeaders(res, statusCode) {
+  const req = res.req;
+  if (statusCode !== 200 || !req?.route?.publicCache || res.perCaller) {
+    return { 'Cache-Control': 'no-store', 'Vary': 'Accept' };
+  }
+  const maxAge = Math.floor(CACHE_TTL / 1000);
+  if (req.client?.scope) {
+    return { 'Cache-Control': `private, max-age=${maxAge}`, 'Vary': 'Accept, Authorization, X-API-Key' };
+  }
+  return { 'Cache-Control': `public, max-age=${maxAge}`, 'Vary': 'Accept' };
+}
+
+function sendBody(res, statusCode, contentType, body) {
+  res.writeHead(statusCode, {
+    'Content-Type': contentType,
+    ...CORS_HEADERS,
+    'Access-Control-Expose-Headers': 'X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After',
+    ...cacheHeaders(res, statusCode),
+    'X-Powered-By': 'Ambiant-Scan/1.0'
+  });
+  res.end(body);
+}
+
+// `res.prettyJSON` is set per request from `?pretty=false`
+function sendJSON(res, statusCode, data) {
+  const body = res.prettyJSON === false ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+  sendBody(res, statusCode, 'application/json', body);
+}
+
+function sendError(res, statusCode, message, details = null) {
+  sendJSON(res, statusCode, {
+    error: true,
+    status: statusCode,
+    message,
+    ...(details ? { details } : {}),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// ─── Output Formats (GeoJSON / CSV / NDJSON) ───────────────────────────────
+
+const OUTPUT_FORMATS = {
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'application/geo+json': 'geojson',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+/**
+ * Pick the output format from `?format=` or, failing that, the first
+ * recognized media type in the `Accept` header. Defaults to JSON.
+ */
+function negotiateFormat(req, query) {
+  if (query.format) {
+    const format = String(query.format).toLowerCase();
+    if (!OUTPUT_FORMATS[format]) {
+      throw new HttpError(400, `Invalid format. Must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+  for (const part of (req.headers.accept || '').split(',')) {
+    const format = ACCEPT_TYPES[part.split(';')[0].trim().toLowerCase()];
+    if (format) return format;
+  }
+  return 'json';
+}
+
+/**
+ * Flatten nested objects into dot-separated keys:
+ * `{ air_quality: { pollutants: { pm2_5: { value: 8 } } } }` →
+ * `{ 'air_quality.pollutants.pm2_5.value': 8 }`. Arrays are kept as JSON.
+ */
+function flattenObject(value, prefix = '', out = {}) {
+  for (const [key, child] of Object.entries(value)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenObject(child, column, out);
+    } else {
+      out[column] = Array.isArray(child) ? JSON.stringify(child) : child;
+    }
+  }
+  return out;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows) {
+  // Columns in first-seen order, so every export of the same shape lines up
+  const columns = [];
+  const seen = new Set();
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
     }
+  }
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) lines.push(columns.map(column => csvCell(row[column])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toFeature(record) {
+  const coords = (record.meta?.location || record.location || record).coordinates;
+  return {
+    type: 'Feature',
+    geometry: coords ? { type: 'Point', coordinates: [coords.lon, coords.lat] } : null,
+    properties: record
   };
 }
 
-// ─── Core Scan Logic ────────────────────────────────────────────────────────
-
-async function performScan(lat, lon, location) {
-  const cacheKey = coordsKey(lat, lon);
-
-  // Check data cache first
-  const cached = dataCache.get(cacheKey);
-  if (cached) {
-    cached.meta._cached = true;
-    return cached;
+/**
+ * Send location records (scan-shaped objects, optionally with extra
+ * top-level fields such as a batch `index`) in the negotiated format.
+ * JSON responses send `body` as-is; the other formats are built from
+ * `records`. A single-location endpoint sends one GeoJSON Feature instead of
+ * a FeatureCollection.
+ */
+function sendRecords(res, format, { body, records, single = false }) {
+  switch (format) {
+    case 'geojson': {
+      const features = records.map(toFeature);
+      const geojson = single ? features[0] : { type: 'FeatureCollection', features };
+      const text = res.prettyJSON === false ? JSON.stringify(geojson) : JSON.stringify(geojson, null, 2);
+      return sendBody(res, 200, OUTPUT_FORMATS.geojson, text);
+    }
+    case 'csv':
+      return sendBody(res, 200, OUTPUT_FORMATS.csv, toCSV(records.map(record => flattenObject(record))));
+    case 'ndjson':
+      return sendBody(res, 200, OUTPUT_FORMATS.ndjson, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    default:
+      return sendJSON(res, 200, body);
+  }
+}
+
+/**
+ * Stamp `_responseTime_ms` on a response's meta, plus the `_timing`
+ * breakdown when the caller asked for it with `?timing=true`.
+ */
+function stampTiming(meta, startTime, query) {
+  meta._responseTime_ms = Date.now() - startTime;
+  if (query.timing === true) {
+    meta._timing = { total_ms: meta._responseTime_ms, ...timingBreakdown() };
+  }
+  return meta;
+}
+
+// ─── Request Validation ─────────────────────────────────────────────────────
+
+const SCHEMA_TYPES = {
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value != null && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+/**
+ * What a schema accepts, for error messages: "an integer 1..16",
+ * "a number ≥ 1", "a string or null".
+ */
+function describeSchema(schema) {
+  const nouns = { integer: 'an integer', number: 'a number', string: 'a string', boolean: 'true or false', array: 'an array', object: 'an object', null: 'null' };
+  const text = [].concat(schema.type).map(type => nouns[type]).join(' or ');
+  if (schema.minimum != null && schema.maximum != null) return `${text} ${schema.minimum}..${schema.maximum}`;
+  if (schema.minimum != null) return `${text} ≥ ${schema.minimum}`;
+  if (schema.maximum != null) return `${text} ≤ ${schema.maximum}`;
+  return text;
+}
+
+/**
+ * Check a value against the JSON Schema subset the route table uses: type
+ * (one name or a list), enum, minimum/maximum, minLength/maxLength, pattern,
+ * minItems/maxItems, items, properties and required. Other keywords (oneOf,
+ * description, examples) only feed the OpenAPI spec. Problems are pushed to
+ * `errors` as `{ name, message }`.
+ */
+function checkSchema(schema, value, name, errors) {
+  if (schema.type && ![].concat(schema.type).some(type => SCHEMA_TYPES[type](value))) {
+    errors.push({ name, message: `must be ${describeSchema(schema)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ name, message: `must be one of: ${schema.enum.join(', ')}` });
+    return;
+  }
+  if (typeof value === 'number'
+      && ((schema.minimum != null && value < schema.minimum) || (schema.maximum != null && value > schema.maximum))) {
+    errors.push({ name, message: `must be ${describeSchema(schema)}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ name, message: `must be at least ${schema.minLength} characters` });
+    } else if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ name, message: `must be at most ${schema.maxLength} characters` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ name, message: schema.patternHint ? `must be ${schema.patternHint}` : `must match ${schema.pattern}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ name, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    } else if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ name, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => checkSchema(schema.items, item, `${name}[${i}]`, errors));
+  }
+  if (SCHEMA_TYPES.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] == null) errors.push({ name: `${name}.${key}`, message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] != null) checkSchema(child, value[key], `${name}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Turn a raw query string into the type its schema declares, so `?days=3`
+ * checks as the integer 3. Values that don't convert are passed through and
+ * fail the type check. Enum values are matched case-insensitively.
+ */
+function coerceQueryValue(schema, raw) {
+  const types = [].concat(schema.type || []);
+  if (types.includes('integer') || types.includes('number')) {
+    const number = raw.trim() === '' ? NaN : Number(raw);
+    return Number.isNaN(number) ? raw : number;
   }
-
-  // Fetch both in parallel
-  const [weather, airQuality] = await Promise.all([
-    fetchWeather(lat, lon).catch(err => {
-      console.error(`[Weather fetch error] ${err.message}`);
-      return null;
-    }),
-    fetchAirQuality(lat, lon).catch(err => {
-      console.error(`[AirQuality fetch error] ${err.message}`);
-      return null;
-    })
-  ]);
-
-  if (!weather && !airQuality) {
-    throw new Error('All environmental data sources are unavailable');
+  if (types.includes('boolean')) {
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+    return raw;
   }
+  return schema.enum ? raw.toLowerCase() : raw;
+}
 
-  const result = modelEnvironmentalData(location, weather, airQuality);
-  result.meta._cached = false;
+function validationError(route, errors) {
+  return new HttpError(400, `Invalid request: ${errors.map(e => `${e.name} ${e.message}`).join('; ')}`, {
+    errors,
+    ...(route.examples ? { examples: route.examples } : {})
+  });
+}
 
-  // Cache it
-  dataCache.set(cacheKey, result);
+/**
+ * Validate the query string against a route's declared parameters. Returns
+ * the query with values coerced and defaults filled in; undeclared
+ * parameters (`api_key`, cache busters…) pass through untouched. An empty
+ * value counts as absent.
+ */
+function validateQuery(route, query) {
+  const errors = [];
+  const input = { ...query };
+  for (const [name, schema] of Object.entries(route.query || {})) {
+    const raw = query[name];
+    if (Array.isArray(raw)) {
+      errors.push({ in: 'query', name, message: 'must be given once' });
+      continue;
+    }
+    if (raw == null || raw === '') {
+      if (schema.required) errors.push({ in: 'query', name, message: 'is required' });
+      if (schema.default !== undefined) input[name] = schema.default;
+      else delete input[name];
+      continue;
+    }
+    const found = [];
+    input[name] = coerceQueryValue(schema, raw);
+    checkSchema(schema, input[name], name, found);
+    errors.push(...found.map(error => ({ in: 'query', ...error })));
+  }
+  if (errors.length) throw validationError(route, errors);
+  return input;
+}
 
-  return result;
+function validateBody(route, body) {
+  const errors = [];
+  checkSchema(route.body, body, 'body', errors);
+  if (errors.length) throw validationError(route, errors.map(error => ({ in: 'body', ...error })));
+  return body;
 }
 
-// ─── GeoIP Utilities ────────────────────────────────────────────────────────
+// ─── Routes ─────────────────────────────────────────────────────────────────
 
-/**
- * Extract the real client IP from the request.
- * Priority: Fly-Client-IP → X-Forwarded-For (first entry) → X-Real-IP → socket
- * Handles Fly.io, Cloudflare, nginx, and other reverse proxies.
- */
-function getClientIP(req) {
-  // Fly.io sets this to the true client IP
-  const flyClientIP = req.headers['fly-client-ip'];
-  if (flyClientIP) return flyClientIP.trim();
+const LOCATION_PARAMS = {
+  lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude, with `lon`' },
+  lon: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude, with `lat`' },
+  city: { type: 'string', maxLength: 200, description: 'City name, geocoded to its best match' },
+  country: { type: 'string', pattern: '^[A-Za-z]{2}$', patternHint: 'an ISO 3166-1 alpha-2 code, e.g. CA', description: 'ISO 3166-1 alpha-2 code that pins `city`' },
+  place: { type: 'string', pattern: '^(geonames:)?\\d{1,12}$', patternHint: 'a place id from /geocode, e.g. geonames:6077243', description: 'Place id from `/geocode`' }
+};
 
-  // Standard proxy header — first entry is the original client
-  const xff = req.headers['x-forwarded-for'];
-  if (xff) {
-    const first = xff.split(',')[0].trim();
-    if (first) return first;
-  }
+const IP_PARAM = {
+  type: 'string',
+  description: '`auto` for the caller\'s address, or an IPv4/IPv6 address. A private address falls back to `lat`/`lon`, `city` or `place`, else GEOIP_FALLBACK_LOCATION when set (422 otherwise)'
+};
 
-  // Nginx-style header
-  const realIP = req.headers['x-real-ip'];
-  if (realIP) return realIP.trim();
+const UNITS_PARAM = { type: 'string', enum: UNIT_SYSTEMS, default: 'metric', description: 'Unit system; converted keys change suffix, e.g. `_c` → `_f`' };
+const LANG_PARAM = { type: 'string', enum: LANGUAGES, default: 'en', description: 'Language of descriptions and labels' };
+const FORMAT_PARAM = { type: 'string', enum: Object.keys(OUTPUT_FORMATS), description: 'Output format; overrides the `Accept` header' };
+const HOURLY_PARAM = { type: 'boolean', default: false, description: 'Include hourly series' };
+const TIMING_PARAM = { type: 'boolean', default: false, description: 'Add the cache and upstream breakdown as `meta._timing`' };
+const PRETTY_PARAM = { type: 'boolean', default: true, description: 'Indented JSON; `false` for compact output' };
+const DATE_PARAM = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', patternHint: 'a YYYY-MM-DD date', required: true };
 
-  // Direct connection fallback
-  const addr = req.socket?.remoteAddress || '';
-  // Strip IPv6-mapped IPv4 prefix (::ffff:1.2.3.4 → 1.2.3.4)
-  return addr.replace(/^::ffff:/, '');
-}
+// Coordinates may be numbers or numeric strings, as in the query string
+const LOCATION_PROPERTIES = {
+  lat: { type: ['number', 'string'] },
+  lon: { type: ['number', 'string'] },
+  city: { type: 'string' },
+  country: { type: 'string' },
+  place: { type: 'string' }
+};
 
 /**
- * Determine if an IP is a private/localhost address.
+ * Every endpoint: method, path (`:name` segments are path parameters),
+ * declared query/body schemas and the handler. The table drives matching,
+ * validation, 404/405 answers, the admin, rate-limit and `publicCache`
+ * flags, metric route labels, the startup banner and `GET /openapi.json`.
+ *
+ * Handlers get `(req, res, { query, params, body, startTime })` with the
+ * query already validated and coerced.
  */
-function isPrivateIP(ip) {
-  return (
-    ip === '127.0.0.1' ||
-    ip === '::1' ||
-    ip === 'localhost' ||
-    ip.startsWith('10.') ||
-    ip.startsWith('192.168.') ||
-    /^172\.(1[6-9]|2\d|3[01])\./.test(ip)
-  );
-}
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/scan',
+    publicCache: true,
+    tag: 'Scan',
+    summary: 'Full environmental scan for one location',
+    query: { ...LOCATION_PARAMS, ip: IP_PARAM, units: UNITS_PARAM, lang: LANG_PARAM, format: FORMAT_PARAM, timing: TIMING_PARAM },
+    examples: ['/scan?lat=45.50&lon=-73.57', '/scan?city=Montreal', '/scan?ip=auto'],
+    formats: true,
+    response: { $ref: '#/components/schemas/Scan' },
+    async handler(req, res, { query, startTime }) {
+      const presentation = parsePresentation(query);
+      const format = negotiateFormat(req, query);
+      // ip=auto answers depend on who is asking
+      if (query.ip === 'auto') res.perCaller = true;
+      const { lat, lon, location, geoip } = query.ip
+        ? await resolveIPLocation(req, query)
+        : await resolveLocation(query, '/scan');
 
-/**
- * Look up geolocation for an IP address using ip-api.com (free, no key).
- * Returns lat, lon, city, region, country, timezone, isp, etc.
- */
-async function geoipLookup(ip) {
-  const cached = geoipCache.get(ip);
-  if (cached) return cached;
+      const result = presentResult(await performScan(lat, lon, location), presentation);
+      if (geoip) result.meta.geoip = geoip;
+      if (geoip?.warning) result.meta.warning = geoip.warning;
+      stampTiming(result.meta, startTime, query);
 
-  // ip-api.com free tier: 45 req/min, HTTP only (HTTPS requires paid plan)
-  const apiUrl = `http://ip-api.com/json/${encodeURIComponent(ip)}?fields=status,message,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp,org,as,query`;
+      return sendRecords(res, format, { body: result, records: [result], single: true });
+    }
+  },
+  {
+    method: 'POST',
+    path: '/scan/batch',
+    tag: 'Scan',
+    // Getters here and below: settings can change after load (see configure)
+    get summary() { return `Scan up to ${MAX_BATCH_ITEMS} locations, deduplicated by grid cell`; },
+    query: { units: UNITS_PARAM, lang: LANG_PARAM, format: FORMAT_PARAM, timing: TIMING_PARAM },
+    body: {
+      type: 'array',
+      minItems: 1,
+      get maxItems() { return MAX_BATCH_ITEMS; },
+      description: 'Locations to scan; an item that can\'t be resolved fails on its own with `ok: false`',
+      // Documentation only (see checkSchema): bad items must not fail the whole batch
+      items: {
+        oneOf: [
+          { type: 'object', required: ['lat', 'lon'], properties: { lat: LOCATION_PROPERTIES.lat, lon: LOCATION_PROPERTIES.lon } },
+          { type: 'object', required: ['city'], properties: { city: LOCATION_PROPERTIES.city, country: LOCATION_PROPERTIES.country } },
+          { type: 'object', required: ['place'], properties: { place: LOCATION_PROPERTIES.place } }
+        ]
+      },
+      examples: [[{ lat: 45.5, lon: -73.57 }, { city: 'Tokyo' }]]
+    },
+    formats: true,
+    async handler(req, res, { query, body: items, startTime }) {
+      const presentation = parsePresentation(query);
+      const format = negotiateFormat(req, query);
 
-  const data = await fetch(apiUrl, 5000);
+      const { results, uniqueLocations, cachedLocations } = await performBatchScan(items);
+      const presented = results.map(r => r.ok ? { ...r, data: presentResult(r.data, presentation) } : r);
 
-  if (data.status !== 'success') {
-    throw new Error(data.message || 'GeoIP lookup failed');
-  }
+      return sendRecords(res, format, {
+        body: {
+          meta: stampTiming({
+            items: items.length,
+            unique_locations: uniqueLocations,
+            cached_locations: cachedLocations,
+            errors: results.filter(r => !r.ok).length,
+            timestamp: new Date().toISOString()
+          }, startTime, query),
+          results: presented
+        },
+        // One record per input item; failed items keep their index and error
+        records: presented.map(({ data, ...item }) => ({ ...item, ...data }))
+      });
+    }
+  },
+  {
+    method: 'POST',
+    path: '/scan/route',
+    tag: 'Scan',
+    summary: 'Conditions sampled along a GeoJSON LineString or encoded polyline',
+    query: {
+      spacing_km: {
+        type: 'number',
+        minimum: 1,
+        maximum: 500,
+        get default() { return ROUTE_SPACING_KM; },
+        description: 'Distance between samples along the route'
+      },
+      units: UNITS_PARAM,
+      lang: LANG_PARAM,
+      format: FORMAT_PARAM,
+      timing: TIMING_PARAM
+    },
+    body: {
+      type: 'object',
+      description: 'A GeoJSON LineString (bare or wrapped in a Feature) or `{polyline, precision}`',
+      oneOf: [
+        { type: 'object', required: ['type', 'coordinates'], properties: { type: { enum: ['LineString'] }, coordinates: { type: 'array', items: { type: 'array', items: { type: 'number' } } } } },
+        { type: 'object', required: ['type', 'geometry'], properties: { type: { enum: ['Feature'] }, geometry: { type: 'object' } } },
+        { type: 'object', required: ['polyline'], properties: { polyline: { type: 'string' }, precision: { enum: [5, 6] } } }
+      ],
+      examples: [{ type: 'LineString', coordinates: [[-73.57, 45.5], [-73.2, 45.3]] }]
+    },
+    formats: true,
+    async handler(req, res, { query, body, startTime }) {
+      const presentation = parsePresentation(query);
+      const format = negotiateFormat(req, query);
+      const points = parseRouteGeometry(body);
 
-  const result = {
-    ip: data.query,
-    lat: data.lat,
-    lon: data.lon,
-    city: data.city || 'Unknown',
-    region: data.regionName || '',
-    regionCode: data.region || '',
-    country: data.country || '',
-    countryCode: data.countryCode || '',
-    zip: data.zip || '',
-    timezone: data.timezone || '',
-    isp: data.isp || '',
-    org: data.org || '',
-    as: data.as || ''
-  };
+      const result = presentResult(await performRouteScan(points, query.spacing_km), presentation);
+      stampTiming(result.meta, startTime, query);
 
-  geoipCache.set(ip, result);
-  return result;
-}
+      return sendRecords(res, format, { body: result, records: result.segments });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/scan/area',
+    publicCache: true,
+    tag: 'Scan',
+    summary: 'Value grids over a bounding box, for heatmaps',
+    query: {
+      bbox: { type: 'string', required: true, description: '`minLon,minLat,maxLon,maxLat`' },
+      step: { type: 'number', minimum: 0.01, maximum: 10, description: 'Grid step in degrees, a multiple of 0.01; defaults to the finest that fits' },
+      fields: { type: 'string', description: `Comma-separated scan fields (default \`${DEFAULT_AREA_FIELDS.join(',')}\`)` },
+      units: UNITS_PARAM,
+      format: FORMAT_PARAM,
+      timing: TIMING_PARAM
+    },
+    examples: ['/scan/area?bbox=-73.75,45.40,-73.45,45.70'],
+    formats: true,
+    async handler(req, res, { query, startTime }) {
+      const { units } = parsePresentation(query);
+      const format = negotiateFormat(req, query);
+      const grid = buildAreaGrid(parseBBox(query.bbox), query.step);
+      const fields = parseAreaFields(query.fields);
 
-// ─── HTTP Server & Routing ──────────────────────────────────────────────────
+      const result = presentArea(await performAreaScan(grid, fields), units);
+      stampTiming(result.meta, startTime, query);
 
-function sendJSON(res, statusCode, data) {
-  const body = JSON.stringify(data, null, 2);
-  res.writeHead(statusCode, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Cache-Control': statusCode === 200 ? `public, max-age=${Math.floor(CACHE_TTL / 1000)}` : 'no-cache',
-    'X-Powered-By': 'Ambiant-Scan/1.0'
-  });
-  res.end(body);
-}
+      // One record (or Point feature) per cell, row by row
+      const records = [];
+      result.grid.lats.forEach((lat, row) => result.grid.lons.forEach((lon, col) => {
+        const record = { coordinates: { lat, lon } };
+        for (const [field, rows] of Object.entries(result.values)) record[field] = rows[row][col];
+        records.push(record);
+      }));
+      return sendRecords(res, format, { body: result, records });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/scan/stream',
+    tag: 'Scan',
+    summary: 'Live scan updates over Server-Sent Events',
+    query: { ...LOCATION_PARAMS, ip: IP_PARAM, units: UNITS_PARAM, lang: LANG_PARAM },
+    examples: ['/scan/stream?city=Montreal'],
+    produces: 'text/event-stream',
+    async handler(req, res, { query }) {
+      const presentation = parsePresentation(query);
+      const resolved = query.ip
+        ? await resolveIPLocation(req, query)
+        : await resolveLocation(query, '/scan/stream');
+      return openScanStream(res, resolved, presentation);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/compare',
+    publicCache: true,
+    tag: 'Compare',
+    summary: `Side-by-side metrics for 2..${MAX_COMPARE_LOCATIONS} locations, ranked`,
+    query: {
+      cities: { type: 'string', description: 'Comma-separated city names' },
+      places: { type: 'string', description: 'Comma-separated place ids from `/geocode`' },
+      coords: { type: 'string', description: '`lat,lon` pairs separated by `;`' },
+      rank_by: { type: 'string', enum: RANK_BY_NAMES, default: 'overall_score', description: 'Metric to rank by, named in the requested `units`' },
+      units: UNITS_PARAM,
+      lang: LANG_PARAM,
+      format: FORMAT_PARAM,
+      timing: TIMING_PARAM
+    },
+    examples: ['/compare?cities=Montreal,Toronto,Vancouver'],
+    formats: true,
+    async handler(req, res, { query, startTime }) {
+      const presentation = parsePresentation(query);
+      const format = negotiateFormat(req, query);
+      const inputs = parseCompareLocations(query);
+      const rankBy = parseRankBy(query.rank_by, presentation.units);
 
-function sendError(res, statusCode, message, details = null) {
-  sendJSON(res, statusCode, {
-    error: true,
-    status: statusCode,
-    message,
-    ...(details ? { details } : {}),
-    timestamp: new Date().toISOString()
-  });
-}
+      const result = presentResult(await performCompare(inputs, rankBy), presentation);
+      result.meta.rank_by = compareMetricName(rankBy, presentation.units);
+      stampTiming(result.meta, startTime, query);
 
-const server = http.createServer(async (req, res) => {
-  // CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    });
-    return res.end();
-  }
+      return sendRecords(res, format, { body: result, records: result.locations });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/forecast',
+    publicCache: true,
+    tag: 'Forecast',
+    summary: 'Daily (and optional hourly) forecast series',
+    query: {
+      ...LOCATION_PARAMS,
+      days: { type: 'integer', minimum: 1, maximum: MAX_FORECAST_DAYS, default: 7, description: 'Forecast length in days' },
+      hourly: HOURLY_PARAM,
+      units: UNITS_PARAM,
+      lang: LANG_PARAM,
+      timing: TIMING_PARAM
+    },
+    examples: ['/forecast?city=Montreal&days=7'],
+    async handler(req, res, { query, startTime }) {
+      const presentation = parsePresentation(query);
+      const { lat, lon, location } = await resolveLocation(query, '/forecast');
 
-  const parsed = url.parse(req.url, true);
-  const pathname = parsed.pathname;
-  const query = parsed.query;
+      const result = presentResult(await performForecast(lat, lon, location, query.days, query.hourly), presentation);
+      stampTiming(result.meta, startTime, query);
 
-  const startTime = Date.now();
+      return sendJSON(res, 200, result);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/history',
+    publicCache: true,
+    tag: 'History',
+    summary: 'Archived daily (and optional hourly) records for a past date range',
+    query: {
+      ...LOCATION_PARAMS,
+      start: { ...DATE_PARAM, description: 'First day, inclusive' },
+      end: { ...DATE_PARAM, description: 'Last day, inclusive; must be in the past' },
+      hourly: HOURLY_PARAM,
+      units: UNITS_PARAM,
+      lang: LANG_PARAM,
+      timing: TIMING_PARAM
+    },
+    examples: ['/history?city=Montreal&start=2026-02-01&end=2026-02-07'],
+    async handler(req, res, { query, startTime }) {
+      const { start, end } = parseDateRange(query, query.hourly);
+      const presentation = parsePresentation(query);
+      const { lat, lon, location } = await resolveLocation(query, '/history');
 
-  try {
-    // ── GET /health ──
-    if (req.method === 'GET' && pathname === '/health') {
+      const result = presentResult(await performHistory(lat, lon, location, start, end, query.hourly), presentation);
+      stampTiming(result.meta, startTime, query);
+
+      return sendJSON(res, 200, result);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/geocode',
+    publicCache: true,
+    tag: 'Geocoding',
+    summary: 'Ranked place candidates for a name',
+    query: {
+      q: { type: 'string', required: true, pattern: '\\S', patternHint: 'a place name', description: 'Place name to search for' },
+      country: LOCATION_PARAMS.country,
+      limit: { type: 'integer', minimum: 1, maximum: MAX_GEOCODE_RESULTS, default: 10, description: 'Max candidates' },
+      timing: TIMING_PARAM
+    },
+    examples: ['/geocode?q=Springfield', '/geocode?q=Paris&country=FR&limit=5'],
+    async handler(req, res, { query, startTime }) {
+      const q = query.q.trim();
+      const country = parseCountryCode(query.country);
+
+      let found;
+      try {
+        found = await searchPlaces(q, { country, limit: query.limit });
+      } catch (err) {
+        return sendError(res, 502, 'Geocoding failed', err.message);
+      }
       return sendJSON(res, 200, {
-        status: 'ok',
-        service: 'ambiant-scan',
-        version: '1.0.0',
-        uptime_seconds: Math.floor(process.uptime()),
+        query: { q, country: country || null, limit: query.limit },
+        count: found.results.length,
+        results: found.results,
+        meta: stampTiming({ provider: found.provider }, startTime, query),
         timestamp: new Date().toISOString()
       });
     }
-
-    // ── GET /geoip ──
-    if (req.method === 'GET' && pathname === '/geoip') {
+  },
+  {
+    method: 'GET',
+    path: '/geocode/reverse',
+    publicCache: true,
+    tag: 'Geocoding',
+    summary: 'Coordinates to a place',
+    query: {
+      lat: { ...LOCATION_PARAMS.lat, required: true },
+      lon: { ...LOCATION_PARAMS.lon, required: true },
+      timing: TIMING_PARAM
+    },
+    examples: ['/geocode/reverse?lat=45.50&lon=-73.57'],
+    async handler(req, res, { query, startTime }) {
+      const { lat, lon } = parseCoords(query.lat, query.lon);
+      const { provider, ...location } = await reverseGeocode(lat, lon);
+      return sendJSON(res, 200, {
+        ...location,
+        resolved: provider != null,
+        meta: stampTiming({ provider }, startTime, query),
+        timestamp: new Date().toISOString()
+      });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/geoip',
+    tag: 'GeoIP',
+    summary: 'Caller geolocation from their IP address',
+    async handler(req, res) {
       const clientIP = getClientIP(req);
+      const reason = clientIP ? classifyIP(clientIP) : 'unknown';
 
-      if (!clientIP || isPrivateIP(clientIP)) {
+      if (reason) {
         return sendJSON(res, 200, {
           warning: 'Private or localhost IP detected — geolocation unavailable',
           ip: clientIP || 'unknown',
-          source: req.headers['fly-client-ip'] ? 'fly-client-ip' : 
-                  req.headers['x-forwarded-for'] ? 'x-forwarded-for' : 
-                  req.headers['x-real-ip'] ? 'x-real-ip' : 'socket',
-          hint: 'Deploy behind a reverse proxy or on Fly.io for real client IPs',
+          source: clientIPSource(req),
+          reason,
+          hint: ignoresProxyHeaders(req)
+            ? `Proxy headers were ignored: the connecting peer ${normalizeIP(req.socket?.remoteAddress)} is not in TRUSTED_PROXIES`
+            : 'Deploy behind a reverse proxy or on Fly.io for real client IPs',
           timestamp: new Date().toISOString()
         });
       }
@@ -618,129 +4878,641 @@ const server = http.createServer(async (req, res) => {
         const geo = await geoipLookup(clientIP);
         return sendJSON(res, 200, {
           ...geo,
-          source: req.headers['fly-client-ip'] ? 'fly-client-ip' : 
-                  req.headers['x-forwarded-for'] ? 'x-forwarded-for' : 
-                  req.headers['x-real-ip'] ? 'x-real-ip' : 'socket',
+          source: clientIPSource(req),
           timestamp: new Date().toISOString()
         });
       } catch (err) {
         return sendError(res, 502, 'GeoIP lookup failed', err.message);
       }
     }
-
-    // ── GET /cache/stats ──
-    if (req.method === 'GET' && pathname === '/cache/stats') {
+  },
+  {
+    method: 'POST',
+    path: '/alerts',
+    tag: 'Alerts',
+    summary: 'Subscribe a webhook to a threshold condition',
+    body: {
+      type: 'object',
+      required: ['condition', 'webhook_url'],
+      description: 'The location is `{lat, lon}`, `{city[, country]}` or `{place}`',
+      properties: {
+        ...LOCATION_PROPERTIES,
+        name: { type: 'string' },
+        condition: {
+          type: 'object',
+          required: ['field', 'op', 'value'],
+          properties: {
+            field: { type: 'string', description: 'Scan field path, e.g. `air_quality.us_aqi`' },
+            op: { type: 'string', enum: Object.keys(COMPARATORS) },
+            value: { type: ['number', 'string'], description: 'A number, or a level name for `.level` fields' }
+          }
+        },
+        webhook_url: { type: 'string', description: 'Public http(s) URL' },
+        debounce_checks: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 20,
+          get description() { return `Checks that must agree before the alert flips (default ${ALERT_DEBOUNCE_CHECKS})`; }
+        },
+        secret: { type: 'string', description: 'Signing secret (16+ characters); generated when absent' }
+      },
+      examples: [{ city: 'Montreal', condition: { field: 'air_quality.us_aqi', op: '>', value: 100 }, webhook_url: 'https://example.com/hooks/aqi' }]
+    },
+    status: 201,
+    async handler(req, res, { body }) {
+      const alert = await createAlert(body, alertOwner(req));
+      checkAlerts([alert]).catch(err => logger.warn('Alert check failed', { error: err.message }));
+      // The secret is only ever returned here, at creation
+      return sendJSON(res, 201, { ...alertView(alert), secret: alert.secret });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/alerts',
+    tag: 'Alerts',
+    summary: 'List the caller\'s alert subscriptions (every one with an admin key)',
+    async handler(req, res) {
+      const visible = [...alerts.values()].filter(alert => canAccessAlert(req, alert));
       return sendJSON(res, 200, {
-        caches: [
-          geoCache.stats(),
-          cityResolveCache.stats(),
-          dataCache.stats(),
-          geoipCache.stats()
-        ],
+        count: visible.length,
+        check_interval_seconds: ALERT_CHECK_INTERVAL / 1000,
+        alerts: visible.map(alertView),
         timestamp: new Date().toISOString()
       });
     }
-
-    // ── DELETE /cache ──
-    if (req.method === 'DELETE' && pathname === '/cache') {
-      const flushed = geoCache.flush() + cityResolveCache.flush() + dataCache.flush() + geoipCache.flush();
+  },
+  {
+    method: 'GET',
+    path: '/alerts/:id',
+    tag: 'Alerts',
+    summary: 'One alert subscription with its state and delivery status',
+    async handler(req, res, { params }) {
+      const alert = alerts.get(params.id);
+      if (!alert || !canAccessAlert(req, alert)) throw new HttpError(404, `Alert not found: ${params.id}`);
+      return sendJSON(res, 200, alertView(alert));
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/alerts/:id',
+    tag: 'Alerts',
+    summary: 'Delete an alert subscription',
+    async handler(req, res, { params }) {
+      const alert = alerts.get(params.id);
+      // Someone else's alert is reported as missing, so ids can't be probed
+      if (!alert || !canAccessAlert(req, alert)) throw new HttpError(404, `Alert not found: ${params.id}`);
+      alerts.delete(params.id);
+      saveAlerts();
+      return sendJSON(res, 200, { message: 'Alert deleted', id: params.id, timestamp: new Date().toISOString() });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health',
+    tag: 'System',
+    summary: 'Health check with provider and circuit breaker status',
+    unmetered: true,
+    async handler(req, res) {
+      const upstreams = breakerStats();
+      return sendJSON(res, 200, {
+        status: upstreams.some(b => b.state !== 'closed') ? 'degraded' : 'ok',
+        service: 'ambiant-scan',
+        version: '1.0.0',
+        uptime_seconds: Math.floor(process.uptime()),
+        providers: providerStats(),
+        upstream_mode: upstreamModeStats(),
+        upstreams,
+        timestamp: new Date().toISOString()
+      });
+    }
+  },
+  {
+    method: 'GET',
+    path: '/metrics',
+    tag: 'System',
+    summary: 'Prometheus metrics',
+    unmetered: true,
+    produces: 'text/plain; version=0.0.4',
+    async handler(req, res) {
+      return sendBody(res, 200, 'text/plain; version=0.0.4; charset=utf-8', renderMetrics());
+    }
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    publicCache: true,
+    tag: 'System',
+    summary: 'This API described as OpenAPI 3.1',
+    async handler(req, res) {
+      return sendJSON(res, 200, openAPISpec());
+    }
+  },
+  {
+    method: 'GET',
+    path: '/cache/stats',
+    tag: 'System',
+    summary: 'Cache and circuit breaker statistics',
+    admin: true,
+    async handler(req, res) {
+      return sendJSON(res, 200, {
+        caches: allCaches.map(cache => cache.stats()),
+        upstreams: breakerStats(),
+        timestamp: new Date().toISOString()
+      });
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/cache',
+    tag: 'System',
+    summary: 'Flush every cache',
+    admin: true,
+    async handler(req, res) {
+      const flushed = allCaches.reduce((sum, cache) => sum + cache.flush(), 0);
       return sendJSON(res, 200, {
         message: 'All caches flushed',
         flushedEntries: flushed,
         timestamp: new Date().toISOString()
       });
     }
+  }
+];
 
-    // ── GET /scan ──
-    if (req.method === 'GET' && pathname === '/scan') {
-      let lat, lon, location;
+for (const route of ROUTES) route.segments = route.path.split('/').slice(1);
 
-      if (query.city) {
-        // City-based lookup
-        try {
-          location = await forwardGeocode(query.city);
-          lat = location.lat;
-          lon = location.lon;
-        } catch (err) {
-          return sendError(res, 404, err.message);
-        }
-      } else if (query.lat && query.lon) {
-        // GPS-based lookup
-        lat = parseFloat(query.lat);
-        lon = parseFloat(query.lon);
+/**
+ * Routes whose path matches, whatever their method, each with the decoded
+ * `:name` path parameters.
+ */
+function routesForPath(pathname) {
+  const parts = pathname.split('/').slice(1);
+  const matches = [];
+  for (const route of ROUTES) {
+    if (route.segments.length !== parts.length) continue;
+    const params = {};
+    const ok = route.segments.every((segment, i) => {
+      if (!segment.startsWith(':')) return segment === parts[i];
+      if (!parts[i]) return false;
+      try {
+        params[segment.slice(1)] = decodeURIComponent(parts[i]);
+      } catch (e) {
+        throw new HttpError(400, `Invalid path: malformed escape in "${parts[i]}"`);
+      }
+      return true;
+    });
+    if (ok) matches.push({ route, params });
+  }
+  return matches;
+}
 
-        if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-          return sendError(res, 400, 'Invalid coordinates. lat must be -90..90, lon must be -180..180');
-        }
+// ─── OpenAPI ────────────────────────────────────────────────────────────────
 
-        const rounded = roundCoords(lat, lon);
-        lat = rounded.lat;
-        lon = rounded.lon;
-
-        // Reverse geocode for location metadata
-        location = await reverseGeocode(lat, lon);
-      } else {
-        return sendError(res, 400, 'Missing parameters. Provide ?lat=XX&lon=YY or ?city=NAME', {
-          examples: [
-            '/scan?lat=45.50&lon=-73.57',
-            '/scan?city=Montreal',
-            '/scan?city=Tokyo'
-          ]
-        });
+const SCAN_NULLABLE_STRINGS = new Set([
+  'air_quality.dominant_pollutant', 'sun.sunrise', 'sun.sunset', 'derived.outdoor_activity.limiting_factor'
+]);
+
+/**
+ * JSON Schema for a scan, derived from the model's empty skeleton the same
+ * way SCAN_FIELDS is: readings are nullable numbers, level fields get their
+ * scale from LEVEL_SCALES. `meta` is described by hand.
+ */
+function scanResponseSchema() {
+  const describe = (value, field) => {
+    if (value && typeof value === 'object') {
+      const properties = {};
+      for (const [key, child] of Object.entries(value)) properties[key] = describe(child, field ? `${field}.${key}` : key);
+      return { type: 'object', properties };
+    }
+    if (LEVEL_SCALES[field]) return { type: ['string', 'null'], enum: [...LEVEL_SCALES[field], 'unknown', null] };
+    if (typeof value === 'boolean') return { type: 'boolean' };
+    if (typeof value === 'string') return { type: 'string' };
+    return SCAN_NULLABLE_STRINGS.has(field) ? { type: ['string', 'null'] } : { type: ['number', 'null'] };
+  };
+
+  const { meta, ...readings } = modelEnvironmentalData({}, null, null);
+  const schema = describe(readings, '');
+  const nullableString = { type: ['string', 'null'] };
+  schema.description = 'Metric keys shown; with `units=imperial` or `si` converted keys change suffix (`_c` → `_f`/`_k`, `_kmh` → `_mph`/`_ms`, …)';
+  schema.required = ['meta', ...Object.keys(readings)];
+  schema.properties = {
+    meta: {
+      type: 'object',
+      properties: {
+        source: { type: 'string' },
+        version: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        location: {
+          type: 'object',
+          properties: {
+            city: nullableString,
+            region: nullableString,
+            country: nullableString,
+            countryCode: nullableString,
+            coordinates: { type: 'object', properties: { lat: { type: 'number' }, lon: { type: 'number' } } }
+          }
+        },
+        timezone: nullableString,
+        elevation_m: { type: ['number', 'null'] },
+        providers: {
+          type: 'object',
+          properties: { location: nullableString, weather: nullableString, air_quality: nullableString }
+        },
+        geoip: { type: 'object', description: 'With `?ip=`: the address used and where it came from' },
+        warning: { type: 'string', description: 'With `?ip=` on a private address: why a fallback location was scanned' },
+        _cached: { type: 'boolean' },
+        _stale: { type: 'boolean' },
+        _responseTime_ms: { type: 'number' },
+        _timing: { type: 'object', description: 'With `?timing=true`: cache outcomes and upstream calls' }
       }
+    },
+    ...schema.properties
+  };
+  return schema;
+}
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error', 'status', 'message', 'timestamp'],
+  properties: {
+    error: { type: 'boolean', enum: [true] },
+    status: { type: 'integer' },
+    message: { type: 'string' },
+    details: { description: 'Context for the error; on validation errors `{ errors: [{ in, name, message }], examples? }`' },
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
 
-      const result = await performScan(lat, lon, location);
-      result.meta._responseTime_ms = Date.now() - startTime;
+// Route-table keywords that aren't JSON Schema (`required` and
+// `description` move to the parameter object)
+function parameterSchema({ required, patternHint, description, ...schema }) {
+  return schema;
+}
 
-      return sendJSON(res, 200, result);
+function openAPIOperation(route) {
+  const parameters = [
+    ...route.segments.filter(segment => segment.startsWith(':')).map(segment => ({
+      name: segment.slice(1), in: 'path', required: true, schema: { type: 'string' }
+    })),
+    ...Object.entries({ ...route.query, pretty: PRETTY_PARAM }).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      ...(schema.required ? { required: true } : {}),
+      ...(schema.description ? { description: schema.description } : {}),
+      schema: parameterSchema(schema)
+    }))
+  ];
+
+  const schema = route.response || { type: 'object' };
+  const content = route.produces
+    ? { [route.produces]: { schema: { type: 'string' } } }
+    : route.formats
+      ? Object.fromEntries(Object.values(OUTPUT_FORMATS).map(type => [type.split(';')[0], { schema: type.startsWith('application/json') ? schema : {} }]))
+      : { 'application/json': { schema } };
+
+  return {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: `${route.method.toLowerCase()}${route.path.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c || '').toUpperCase())}`,
+    parameters,
+    ...(route.body ? {
+      requestBody: { required: true, content: { 'application/json': { schema: route.body } } }
+    } : {}),
+    responses: {
+      [route.status || 200]: { description: route.summary, content },
+      default: { $ref: '#/components/responses/Error' }
+    },
+    ...(route.admin ? { security: [{ apiKeyHeader: [] }, { bearerAuth: [] }, { apiKeyQuery: [] }] } : {})
+  };
+}
+
+let cachedOpenAPISpec = null;
+
+/**
+ * OpenAPI 3.1 document generated from ROUTES. Admin routes require a key;
+ * everywhere else a key is optional (unless REQUIRE_API_KEY is set).
+ */
+function openAPISpec() {
+  if (cachedOpenAPISpec) return cachedOpenAPISpec;
+  const paths = {};
+  for (const route of ROUTES) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    (paths[path] || (paths[path] = {}))[route.method.toLowerCase()] = openAPIOperation(route);
+  }
+  cachedOpenAPISpec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Ambiant Scan',
+      version: '1.0.0',
+      description: 'Zero-dependency environmental scraper & modeler — temperature, air quality, UV index and more'
+    },
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: { Scan: scanResponseSchema(), Error: ERROR_SCHEMA },
+      responses: {
+        Error: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      },
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      }
+    },
+    security: [
+      ...(REQUIRE_API_KEY ? [] : [{}]),
+      { apiKeyHeader: [] },
+      { bearerAuth: [] },
+      { apiKeyQuery: [] }
+    ]
+  };
+  return cachedOpenAPISpec;
+}
+
+// ─── Request Handling ───────────────────────────────────────────────────────
+
+async function handleRequest(req, res) {
+  const parsed = url.parse(req.url, true);
+  const pathname = parsed.pathname;
+
+  trackRequest(req, res, pathname);
+  logRequest(req, res, pathname);
+
+  // CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+
+  const startTime = Date.now();
+  res.prettyJSON = parsed.query.pretty !== 'false' && parsed.query.pretty !== '0';
+
+  try {
+    const matches = routesForPath(pathname);
+    const match = matches.find(({ route }) => route.method === req.method);
+    req.route = match?.route || null;
+
+    authorizeRequest(req, res, req.route, parsed.query);
+
+    if (!match) {
+      if (matches.length > 0) {
+        const allowed = [...new Set(matches.map(({ route }) => route.method)), 'OPTIONS'];
+        res.setHeader('Allow', allowed.join(', '));
+        return sendError(res, 405, `Method ${req.method} not allowed on ${pathname}`, { allowed });
+      }
+      return sendError(res, 404, 'Not found', {
+        available_endpoints: ROUTES.map(route => `${route.method} ${route.path}`),
+        openapi: '/openapi.json'
+      });
     }
 
-    // ── 404 ──
-    return sendError(res, 404, 'Not found', {
-      available_endpoints: [
-        'GET /scan?lat=XX&lon=YY',
-        'GET /scan?city=NAME',
-        'GET /geoip',
-        'GET /health',
-        'GET /cache/stats',
-        'DELETE /cache'
-      ]
-    });
+    const { route, params } = match;
+    const query = validateQuery(route, parsed.query);
+    const body = route.body ? validateBody(route, await readJSONBody(req)) : undefined;
+    return await route.handler(req, res, { query, params, body, startTime });
 
   } catch (err) {
-    console.error(`[Error] ${req.method} ${req.url} — ${err.message}`);
+    if (err instanceof HttpError) {
+      return sendError(res, err.statusCode, err.message, err.details);
+    }
+    logger.error('Unhandled request error', { method: req.method, url: req.url, error: err.message, stack: err.stack });
     return sendError(res, 500, 'Internal server error', err.message);
   }
-});
+}
+
+// ─── Configuration Loading ──────────────────────────────────────────────────
+
+let appliedEnv = null;
+
+/**
+ * Apply a configuration: the settings from `env`, then everything derived
+ * from them — caches, snapshot selection, upstream mode, providers, trusted
+ * proxies, API keys and the rate limiter. Runs at load with process.env and
+ * again from createServer() when it is given options. Everything is
+ * validated before anything is replaced: on an invalid setting it throws
+ * and the previous configuration stays in effect.
+ */
+function configure({ env = process.env, caches = {} } = {}) {
+  const step = (what, load) => {
+    try {
+      return load();
+    } catch (err) {
+      throw new Error(`${what}: ${err.message}`);
+    }
+  };
+
+  loadSettings(env);
+  let derived;
+  try {
+    if (!(LOG_LEVEL in LOG_LEVELS)) {
+      throw new Error(`Invalid LOG_LEVEL "${LOG_LEVEL}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    const unknown = Object.keys(caches).filter(name => !CACHE_NAMES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown cache ${unknown.join(', ')} (expected ${CACHE_NAMES.join(', ')})`);
+    }
+    derived = {
+      upstream: step('Invalid upstream mode configuration', loadUpstreamMode),
+      providers: step('Invalid provider configuration', () => loadProviders(env)),
+      trustedProxies: step('Invalid TRUSTED_PROXIES', () => parseTrustedProxies(env.TRUSTED_PROXIES || 'loopback,private')),
+      apiKeys: step('Invalid API key configuration', () => loadApiKeys(env)),
+      geoipFallback: step('Invalid GEOIP_FALLBACK_LOCATION', () => parseFallbackLocation(GEOIP_FALLBACK_LOCATION))
+    };
+  } catch (err) {
+    if (appliedEnv) loadSettings(appliedEnv);
+    throw err;
+  }
+  appliedEnv = env;
+
+  ({ latency: upstreamLatency, faults: upstreamFaults, mode: UPSTREAM_MODE } = derived.upstream);
+  PROVIDERS = derived.providers;
+  TRUSTED_PROXIES = derived.trustedProxies;
+  apiKeys = derived.apiKeys;
+  geoipFallback = derived.geoipFallback;
+
+  dataCache?.off('set', pushStreamUpdate);
+  initCaches(caches);
+  dataCache.on('set', pushStreamUpdate);
+  selectPersistedCaches();
+  rateLimiter = new RateLimiter(RATE_LIMIT_WINDOW);
+  cachedOpenAPISpec = null;
+}
+
+try {
+  configure();
+} catch (err) {
+  // `node server.js` stops here; a program requiring the module gets the error instead
+  if (require.main !== module) throw err;
+  logger.error('Invalid configuration', { fatal: true, error: err.message });
+  process.exit(1);
+}
+
+// ─── Server ─────────────────────────────────────────────────────────────────
+
+/**
+ * Snapshot restore, alert loading and the periodic jobs. Returns the
+ * interval timers so the server can stop them when it closes.
+ */
+function startBackgroundJobs() {
+  restoreSnapshots();
+  loadAlerts();
+
+  const timers = [
+    setInterval(() => rateLimiter.prune(), RATE_LIMIT_WINDOW),
+    setInterval(sendHeartbeats, STREAM_HEARTBEAT_INTERVAL),
+    setInterval(() => {
+      checkAlerts().catch(err => logger.warn('Alert check failed', { error: err.message }));
+    }, ALERT_CHECK_INTERVAL)
+  ];
+  if (persistedCaches.length > 0) {
+    timers.push(setInterval(saveSnapshots, CACHE_SNAPSHOT_INTERVAL));
+  }
+  for (const timer of timers) timer.unref();
+  return timers;
+}
+
+/**
+ * Build the HTTP server without listening. `config` overrides settings by
+ * their environment variable names (`{ PORT: 0, API_KEYS: 'k1:admin' }`) on
+ * top of process.env; `caches` injects caches by name (see initCaches).
+ * Settings and caches are module-wide, so the last configuration applies to
+ * every server in the process. Background jobs start when the server starts
+ * listening and stop, with a final cache snapshot, when it closes.
+ */
+function createServer({ config, caches } = {}) {
+  if (config || caches) {
+    const overrides = Object.entries(config || {}).map(([name, value]) => [name, String(value)]);
+    configure({ env: { ...process.env, ...Object.fromEntries(overrides) }, caches });
+  }
+
+  const server = http.createServer((req, res) => {
+    const context = { id: requestIdFor(req), cache: {}, upstream: [] };
+    res.setHeader('X-Request-Id', context.id);
+    requestContext.run(context, () => handleRequest(req, res));
+  });
+
+  let timers = [];
+  server.on('listening', () => {
+    timers = startBackgroundJobs();
+  });
+  server.on('close', () => {
+    timers.forEach(clearInterval);
+    saveSnapshotsSync();
+  });
+  return server;
+}
+
+// One banner line per route, with its first example when that fits the box
+function bannerEndpoints() {
+  return ROUTES.map(route => {
+    const example = `${route.method} ${route.examples?.[0] || route.path}`;
+    return `  │  ${(example.length <= 43 ? example : `${route.method} ${route.path}`).padEnd(43)}│`;
+  }).join('\n');
+}
+
+/**
+ * Run the service: createServer(options), listen on PORT, save snapshots on
+ * SIGTERM/SIGINT and print the banner at a terminal. This is what
+ * `node server.js` and `ambiant-scan serve` do.
+ */
+function start(options) {
+  const server = createServer(options);
+
+  function shutdown(signal) {
+    logger.info('Shutting down', { signal, saving_snapshots: persistedCaches.length > 0 });
+    saveSnapshotsSync();
+    process.exit(0);
+  }
 
-// ─── Start ──────────────────────────────────────────────────────────────────
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 
-server.listen(PORT, () => {
-  console.log(`
+  server.listen(PORT, () => {
+    const port = server.address().port;
+    logger.info('Server listening', { port, log_level: LOG_LEVEL });
+    // The banner is for humans at a terminal; log collectors only get JSON lines
+    if (!process.stdout.isTTY) return;
+    console.log(`
   ┌─────────────────────────────────────────────┐
   │         🌍  AMBIANT SCAN  v1.0.0            │
   │    Environmental Scraper & Modeler           │
   │    Part of The Governor HQ Suite             │
   ├─────────────────────────────────────────────┤
-  │  Server:    http://localhost:${String(PORT).padEnd(18)}│
+  │  Server:    http://localhost:${String(port).padEnd(18)}│
   │  Cache TTL: ${String(CACHE_TTL / 1000 + 's').padEnd(32)}│
   │  Geo TTL:   ${String(GEO_CACHE_TTL / 1000 + 's').padEnd(32)}│
   ├─────────────────────────────────────────────┤
-  │  GET /scan?lat=45.5&lon=-73.6               │
-  │  GET /scan?city=Montreal                    │
-  │  GET /geoip                                 │
-  │  GET /health                                │
-  │  GET /cache/stats                           │
-  │  DELETE /cache                              │
+${bannerEndpoints()}
   └─────────────────────────────────────────────┘
   `);
-});
+  });
 
-server.on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`[FATAL] Port ${PORT} is already in use.`);
-  } else {
-    console.error(`[FATAL] ${err.message}`);
-  }
-  process.exit(1);
-});
\ No newline at end of file
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      logger.error('Port already in use', { fatal: true, port: PORT });
+    } else {
+      logger.error('Server error', { fatal: true, error: err.message });
+    }
+    process.exit(1);
+  });
+
+  return server;
+}
+
+// ─── Library API ────────────────────────────────────────────────────────────
+
+/**
+ * Scan one location given as `{ lat, lon }`, `{ city, country? }` or
+ * `{ place }` — the result GET /scan would return as JSON. Failures are
+ * HttpErrors carrying the status the endpoint would answer with.
+ */
+async function scan(target, { units, lang } = {}) {
+  const presentation = parsePresentation({ units, lang });
+  const { lat, lon, location } = await resolveLocation(target || {}, '/scan');
+  return presentResult(await performScan(lat, lon, location), presentation);
+}
+
+/**
+ * Geolocate a public IP address. Private and other reserved addresses are
+ * rejected with a 422 HttpError naming the reason (see classifyIP).
+ */
+async function geoip(ip) {
+  if (!net.isIP(String(ip))) throw new HttpError(400, `Invalid IP address "${ip}"`);
+  const reason = classifyIP(ip);
+  if (reason) throw new HttpError(422, `${ip} can't be geolocated (${reason} address)`, { ip, reason });
+  return geoipLookup(ip);
+}
+
+if (require.main === module) start();
+
+module.exports = {
+  // Server
+  createServer,
+  start,
+  ROUTES,
+  openAPISpec,
+  // Scanning & geocoding
+  scan,
+  geoip,
+  performScan,
+  modelEnvironmentalData,
+  presentResult,
+  forwardGeocode,
+  reverseGeocode,
+  searchPlaces,
+  lookupPlace,
+  // Classification
+  aqiLevel,
+  europeanAqiLevel,
+  uvLevel,
+  pollenLevel,
+  classifyIP,
+  isPrivateIP,
+  // Output formats
+  flattenObject,
+  toCSV,
+  toFeature,
+  // Building blocks
+  TTLCache,
+  HttpError,
+  CACHE_NAMES
+};